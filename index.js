@@ -1,10 +1,19 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { authenticate } = require('./middleware/auth');
+const { startExpiryScheduler, EXPIRY_JOB_CONFIG } = require('./jobs/expiryReminders');
+const { startPurgeScheduler, PURGE_JOB_CONFIG } = require('./jobs/purgeTrash');
+const { startEscrowScheduler, ESCROW_JOB_CONFIG } = require('./jobs/releaseEscrow');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -18,6 +27,17 @@ app.use((req, res, next) => {
 // Health endpoint
 app.get('/api/health', (req, res) => res.json({ status: 'ok', time: Date.now() }));
 
+// Authentication middleware - every route except the public auth endpoints needs a Bearer token
+app.use(authenticate);
+
+// Card numbers/PINs can't be encrypted without a master key - fail now rather than on the first card
+try {
+  require('./services/cardSecrets').cardSecrets.getKeyProvider();
+} catch (error) {
+  console.error('❌ Error loading the card encryption key:', error.message);
+  process.exit(1);
+}
+
 // Routes
 try {
   console.log('📦 Loading routes...');
@@ -29,6 +49,10 @@ try {
   console.log('✅ Friends routes loaded');
   app.use('/api/marketplace', require('./routes/marketplace'));
   console.log('✅ Marketplace routes loaded');
+  app.use('/api/merchants', require('./routes/merchants'));
+  console.log('✅ Merchants routes loaded');
+  app.use('/api/currencies', require('./routes/currencies'));
+  console.log('✅ Currencies routes loaded');
 } catch (error) {
   console.error('❌ Error loading routes:', error);
   process.exit(1);
@@ -41,4 +65,15 @@ app.use((req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 ZIKO BACKEND API server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
+
+  // Set EXPIRY_JOB_ENABLED=false when the job runs from an external cron instead
+  if (EXPIRY_JOB_CONFIG.enabled) {
+    startExpiryScheduler();
+  }
+  if (PURGE_JOB_CONFIG.enabled) {
+    startPurgeScheduler();
+  }
+  if (ESCROW_JOB_CONFIG.enabled) {
+    startEscrowScheduler();
+  }
 });
@@ -0,0 +1,235 @@
+// Gift card expiry job - reminds owners before a card lapses and marks lapsed cards as expired.
+//
+// Runs inside the server on an interval (EXPIRY_JOB_INTERVAL_MINUTES), or once from cron:
+//   npm run job:expiry
+
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { dynamodb, TABLES, notificationService } = require('../services/aws');
+const { getExpiryTime } = require('../services/expiryUtils');
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDays = (value) => (value || '')
+  .split(',')
+  .map(day => parseInt(day))
+  .filter(day => Number.isInteger(day) && day > 0)
+  .sort((a, b) => b - a);
+
+const EXPIRY_JOB_CONFIG = {
+  // Days before expiry to remind at, largest first
+  reminderDays: parseDays(process.env.EXPIRY_REMINDER_DAYS).length
+    ? parseDays(process.env.EXPIRY_REMINDER_DAYS)
+    : [30, 7, 1],
+  intervalMinutes: parseInt(process.env.EXPIRY_JOB_INTERVAL_MINUTES) || 60,
+  enabled: process.env.EXPIRY_JOB_ENABLED !== 'false',
+};
+
+const scanActiveCardsWithExpiry = async () => {
+  const cards = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLES.GIFT_CARDS,
+      // Archived and trashed cards get no reminders
+      FilterExpression: '#status = :active AND attribute_exists(expiryDate)'
+        + ' AND attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':active': 'active' },
+      ExclusiveStartKey: lastKey,
+    }));
+    cards.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return cards;
+};
+
+const isConditionFailure = (error) => error.name === 'ConditionalCheckFailedException';
+
+const markExpired = async (card) => {
+  try {
+    await dynamodb.send(new UpdateCommand({
+      TableName: TABLES.GIFT_CARDS,
+      Key: { id: card.id },
+      UpdateExpression: 'SET #status = :expired, expiredAt = :now, updatedAt = :now',
+      // A card that was used/listed meanwhile keeps its new status
+      ConditionExpression: '#status = :active AND expiryDate = :expiryDate',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':expired': 'expired',
+        ':active': 'active',
+        ':expiryDate': card.expiryDate,
+        ':now': new Date().toISOString(),
+      },
+    }));
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error)) return false;
+    throw error;
+  }
+};
+
+/**
+ * Windows already reminded for the card's current expiry date
+ * (changing the expiry date starts the reminders over)
+ */
+const getSentWindows = (card) => (
+  card.expiryRemindersFor === card.expiryDate ? (card.expiryRemindersSent || []) : []
+);
+
+/**
+ * Record the windows as sent before the notification goes out. The condition makes sure
+ * two overlapping runs (or two servers) can't both claim the same reminder.
+ */
+const claimReminder = async (card, windows) => {
+  const previous = card.expiryRemindersSent;
+  const params = {
+    TableName: TABLES.GIFT_CARDS,
+    Key: { id: card.id },
+    UpdateExpression: 'SET expiryRemindersFor = :expiryDate, expiryRemindersSent = :windows',
+    ConditionExpression: previous === undefined
+      ? 'attribute_not_exists(expiryRemindersSent) AND expiryDate = :expiryDate'
+      : 'expiryRemindersSent = :previous AND expiryDate = :expiryDate',
+    ExpressionAttributeValues: {
+      ':expiryDate': card.expiryDate,
+      ':windows': windows,
+      ...(previous === undefined ? {} : { ':previous': previous }),
+    },
+  };
+
+  try {
+    await dynamodb.send(new UpdateCommand(params));
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error)) return false;
+    throw error;
+  }
+};
+
+const releaseReminder = async (card) => {
+  await dynamodb.send(new UpdateCommand({
+    TableName: TABLES.GIFT_CARDS,
+    Key: { id: card.id },
+    UpdateExpression: card.expiryRemindersSent === undefined
+      ? 'REMOVE expiryRemindersFor, expiryRemindersSent'
+      : 'SET expiryRemindersFor = :expiryRemindersFor, expiryRemindersSent = :previous',
+    ...(card.expiryRemindersSent === undefined ? {} : {
+      ExpressionAttributeValues: {
+        ':expiryRemindersFor': card.expiryRemindersFor,
+        ':previous': card.expiryRemindersSent,
+      },
+    }),
+  }));
+};
+
+const buildReminder = (card, daysLeft) => {
+  const when = daysLeft <= 1 ? 'within 24 hours' : `in ${daysLeft} days`;
+  const balance = card.balance ?? card.amount;
+  return {
+    id: uuidv4(),
+    userId: card.userId,
+    type: 'gift_card_expiring',
+    title: `Your ${card.storeName} gift card expires ${when}`,
+    message: balance
+      ? `You still have ${balance} left on your ${card.storeName} gift card. Use it before ${card.expiryDate}.`
+      : `Your ${card.storeName} gift card expires on ${card.expiryDate}.`,
+    data: { giftCardId: card.id, storeName: card.storeName, expiryDate: card.expiryDate, daysLeft, balance },
+  };
+};
+
+/**
+ * Send the reminder for the most urgent window the card has entered but wasn't reminded about.
+ * A card that is already inside several windows (e.g. added 5 days before expiry) gets a single reminder.
+ */
+const remindIfDue = async (card, daysLeft, reminderDays) => {
+  const sent = getSentWindows(card);
+  const due = reminderDays.filter(day => daysLeft <= day);
+  if (due.length === 0 || due.every(day => sent.includes(day))) {
+    return false;
+  }
+
+  const windows = [...new Set([...sent, ...due])].sort((a, b) => b - a);
+  if (!(await claimReminder(card, windows))) {
+    return false;
+  }
+
+  const result = await notificationService.createNotification(buildReminder(card, daysLeft));
+  if (!result.success) {
+    // Let the next run try again
+    await releaseReminder(card);
+    throw new Error(result.error || 'Failed to create notification');
+  }
+  return true;
+};
+
+/**
+ * One pass over all active cards
+ * @param {{now?: number, reminderDays?: number[]}} options
+ * @returns {Promise<{success: boolean, scanned?: number, reminded?: number, expired?: number, failed?: number, error?: string}>}
+ */
+const runExpiryJob = async ({ now = Date.now(), reminderDays = EXPIRY_JOB_CONFIG.reminderDays } = {}) => {
+  try {
+    const cards = await scanActiveCardsWithExpiry();
+    const stats = { scanned: cards.length, reminded: 0, expired: 0, failed: 0 };
+
+    for (const card of cards) {
+      try {
+        const expiryTime = getExpiryTime(card.expiryDate);
+        if (expiryTime === null) {
+          console.warn(`⚠️ Skipping card ${card.id} with invalid expiryDate:`, card.expiryDate);
+          continue;
+        }
+
+        if (expiryTime <= now) {
+          if (await markExpired(card)) stats.expired++;
+          continue;
+        }
+
+        const daysLeft = Math.ceil((expiryTime - now) / DAY_MS);
+        if (await remindIfDue(card, daysLeft, reminderDays)) stats.reminded++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`❌ Expiry job failed for card ${card.id}:`, error);
+      }
+    }
+
+    console.log('⏰ Expiry job finished:', stats);
+    return { success: true, ...stats };
+  } catch (error) {
+    console.error('❌ Expiry job failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Run the job now and then every EXPIRY_JOB_INTERVAL_MINUTES (overlapping runs are skipped)
+ * @returns {() => void} stop function
+ */
+const startExpiryScheduler = ({ intervalMinutes = EXPIRY_JOB_CONFIG.intervalMinutes } = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runExpiryJob();
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log('⏰ Expiry scheduler started:', { intervalMinutes, reminderDays: EXPIRY_JOB_CONFIG.reminderDays });
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = { runExpiryJob, startExpiryScheduler, EXPIRY_JOB_CONFIG };
+
+if (require.main === module) {
+  runExpiryJob().then(result => process.exit(result.success ? 0 : 1));
+}
@@ -0,0 +1,91 @@
+// Trash purge job - permanently deletes gift cards whose trash retention (CARD_TRASH_RETENTION_DAYS) has ended,
+// together with their S3 images.
+//
+// Runs inside the server on an interval (CARD_PURGE_JOB_INTERVAL_MINUTES), or once from cron:
+//   npm run job:purge-trash
+
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { dynamodb, TABLES } = require('../services/aws');
+const { cardLifecycleService } = require('../services/cardLifecycleService');
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const PURGE_JOB_CONFIG = {
+  intervalMinutes: parseInt(process.env.CARD_PURGE_JOB_INTERVAL_MINUTES) || 360,
+  enabled: process.env.CARD_PURGE_JOB_ENABLED !== 'false',
+};
+
+const scanCardsDueForPurge = async (now) => {
+  const cards = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLES.GIFT_CARDS,
+      FilterExpression: 'attribute_exists(deletedAt) AND purgeAt <= :now',
+      ExpressionAttributeValues: { ':now': new Date(now).toISOString() },
+      ExclusiveStartKey: lastKey,
+    }));
+    cards.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return cards;
+};
+
+/**
+ * One pass over the trash
+ * @param {{now?: number}} options
+ * @returns {Promise<{success: boolean, scanned?: number, purged?: number, failed?: number, error?: string}>}
+ */
+const runPurgeJob = async ({ now = Date.now() } = {}) => {
+  try {
+    const cards = await scanCardsDueForPurge(now);
+    const stats = { scanned: cards.length, purged: 0, failed: 0 };
+
+    for (const card of cards) {
+      const result = await cardLifecycleService.purgeCard(card);
+      if (result.success) {
+        stats.purged++;
+      } else if (result.error !== 'Gift card was restored') {
+        stats.failed++;
+        console.error(`❌ Purge failed for card ${card.id}:`, result.error);
+      }
+    }
+
+    console.log('🗑️ Trash purge finished:', stats);
+    return { success: true, ...stats };
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Run the job now and then every CARD_PURGE_JOB_INTERVAL_MINUTES (overlapping runs are skipped)
+ * @returns {() => void} stop function
+ */
+const startPurgeScheduler = ({ intervalMinutes = PURGE_JOB_CONFIG.intervalMinutes } = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPurgeJob();
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log('🗑️ Trash purge scheduler started:', { intervalMinutes });
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = { runPurgeJob, startPurgeScheduler, PURGE_JOB_CONFIG };
+
+if (require.main === module) {
+  runPurgeJob().then(result => process.exit(result.success ? 0 : 1));
+}
@@ -0,0 +1,98 @@
+// Escrow release job - pays held marketplace payments out to the seller once the buyer's confirmation window
+// (ESCROW_CONFIRMATION_HOURS) has ended without a dispute, and retries payouts/refunds that didn't finish.
+//
+// Runs inside the server on an interval (ESCROW_JOB_INTERVAL_MINUTES), or once from cron:
+//   npm run job:release-escrow
+
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { paymentService } = require('../services/paymentService');
+
+const ESCROW_JOB_CONFIG = {
+  intervalMinutes: parseInt(process.env.ESCROW_JOB_INTERVAL_MINUTES) || 15,
+  enabled: process.env.ESCROW_JOB_ENABLED !== 'false',
+};
+
+/**
+ * One pass over the due payments
+ * @param {{now?: number}} options
+ * @returns {Promise<{success: boolean, due?: number, released?: number, stuck?: number, resumed?: number,
+ *   failed?: number, error?: string}>}
+ */
+const runEscrowJob = async ({ now = Date.now() } = {}) => {
+  try {
+    const [dueResult, stuckResult] = await Promise.all([
+      paymentService.getDuePayments(new Date(now)),
+      paymentService.getStuckPayments(new Date(now)),
+    ]);
+    const failedQuery = [dueResult, stuckResult].find(result => !result.success);
+    if (failedQuery) {
+      throw new Error(failedQuery.error);
+    }
+    const stats = {
+      due: dueResult.payments.length,
+      released: 0,
+      stuck: stuckResult.payments.length,
+      resumed: 0,
+      failed: 0,
+    };
+
+    for (const payment of dueResult.payments) {
+      const result = await paymentService.release(payment);
+      if (result.success) {
+        stats.released++;
+      } else if (!result.conflict) {
+        // conflict: confirmed or disputed since the query
+        stats.failed++;
+        console.error(`❌ Escrow release failed for payment ${payment.id}:`, result.error);
+      }
+    }
+
+    for (const payment of stuckResult.payments) {
+      const result = await paymentService.resume(payment);
+      if (result.success) {
+        stats.resumed++;
+      } else if (!result.conflict) {
+        stats.failed++;
+        console.error(`❌ Retry failed for ${payment.status} payment ${payment.id}:`, result.error);
+      }
+    }
+
+    console.log('💸 Escrow release finished:', stats);
+    return { success: true, ...stats };
+  } catch (error) {
+    console.error('❌ Escrow release failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Run the job now and then every ESCROW_JOB_INTERVAL_MINUTES (overlapping runs are skipped)
+ * @returns {() => void} stop function
+ */
+const startEscrowScheduler = ({ intervalMinutes = ESCROW_JOB_CONFIG.intervalMinutes } = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runEscrowJob();
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log('💸 Escrow release scheduler started:', { intervalMinutes });
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = { runEscrowJob, startEscrowScheduler, ESCROW_JOB_CONFIG };
+
+if (require.main === module) {
+  runEscrowJob().then(result => process.exit(result.success ? 0 : 1));
+}
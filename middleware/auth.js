@@ -0,0 +1,64 @@
+const tokenService = require('../services/tokenService');
+
+// Routes that can be called without an access token ("METHOD /path")
+const PUBLIC_ROUTES = new Set([
+  'GET /api/health',
+  'POST /api/auth/register',
+  'POST /api/auth/register-with-google',
+  'POST /api/auth/register-with-phone/send-otp',
+  'POST /api/auth/register-with-phone',
+  'POST /api/auth/login',
+  'POST /api/auth/login/2fa',
+  'POST /api/auth/send-otp',
+  'POST /api/auth/verify-otp',
+  'POST /api/auth/login-with-phone',
+  'POST /api/auth/forgot-password',
+  'POST /api/auth/reset-password',
+  'POST /api/auth/refresh',
+  'POST /api/auth/verify-email',
+]);
+
+const isPublicRoute = (req) => {
+  const path = req.path.length > 1 ? req.path.replace(/\/+$/, '') : req.path;
+  return PUBLIC_ROUTES.has(`${req.method} ${path}`);
+};
+
+/**
+ * Authenticate every request with a Bearer access token.
+ * Sets req.user = { id, sessionId } for the rest of the chain.
+ */
+const authenticate = (req, res, next) => {
+  if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  const result = tokenService.verifyAccessToken(token);
+  if (!result.success) {
+    return res.status(401).json({ success: false, error: result.error });
+  }
+
+  req.user = { id: result.userId, sessionId: result.sessionId };
+  next();
+};
+
+/**
+ * Only allow the request if the user id picked from the request is the authenticated user
+ * @param {(req: object) => string} getUserId - Picks the target user id from params/body
+ */
+const requireSelf = (getUserId) => (req, res, next) => {
+  const targetUserId = getUserId(req);
+  if (!req.user || !targetUserId || targetUserId !== req.user.id) {
+    console.warn('🚫 Blocked cross-user access:', { userId: req.user?.id, targetUserId, path: req.path });
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+  next();
+};
+
+module.exports = { authenticate, requireSelf, PUBLIC_ROUTES };
@@ -0,0 +1,24 @@
+const { userService } = require('../services/aws');
+
+/**
+ * Sets req.currency for endpoints that show money in one currency:
+ * ?currency= if the request has it (validated by the route schema), otherwise the user's preferred currency
+ */
+const resolveCurrency = async (req, res, next) => {
+  try {
+    if (req.query.currency) {
+      req.currency = req.query.currency;
+      return next();
+    }
+    const preferred = await userService.getPreferredCurrency(req.user.id);
+    if (!preferred.success) {
+      return res.status(500).json(preferred);
+    }
+    req.currency = preferred.currency;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = { resolveCurrency };
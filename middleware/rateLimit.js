@@ -0,0 +1,151 @@
+const { rateLimitStore } = require('../services/rateLimitStore');
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Request limits per endpoint and per key type (ip / phone / account)
+const RATE_LIMITS = {
+  login: {
+    ip: { limit: envInt('RATE_LIMIT_LOGIN_PER_IP', 20), windowSeconds: 15 * 60 },
+    account: { limit: envInt('RATE_LIMIT_LOGIN_PER_ACCOUNT', 10), windowSeconds: 15 * 60 },
+  },
+  sendOtp: {
+    ip: { limit: envInt('RATE_LIMIT_SEND_OTP_PER_IP', 10), windowSeconds: 60 * 60 },
+    phone: { limit: envInt('RATE_LIMIT_SEND_OTP_PER_PHONE', 3), windowSeconds: 15 * 60 },
+  },
+  verifyOtp: {
+    ip: { limit: envInt('RATE_LIMIT_VERIFY_OTP_PER_IP', 30), windowSeconds: 15 * 60 },
+    phone: { limit: envInt('RATE_LIMIT_VERIFY_OTP_PER_PHONE', 10), windowSeconds: 15 * 60 },
+  },
+  verifyTwoFactor: {
+    ip: { limit: envInt('RATE_LIMIT_VERIFY_2FA_PER_IP', 30), windowSeconds: 15 * 60 },
+  },
+  verifyEmail: {
+    ip: { limit: envInt('RATE_LIMIT_VERIFY_EMAIL_PER_IP', 30), windowSeconds: 15 * 60 },
+  },
+  resendVerification: {
+    ip: { limit: envInt('RATE_LIMIT_RESEND_VERIFICATION_PER_IP', 10), windowSeconds: 60 * 60 },
+    account: { limit: envInt('RATE_LIMIT_RESEND_VERIFICATION_PER_ACCOUNT', 3), windowSeconds: 60 * 60 },
+  },
+  forgotPassword: {
+    ip: { limit: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_IP', 10), windowSeconds: 60 * 60 },
+    account: { limit: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_ACCOUNT', 3), windowSeconds: 60 * 60 },
+  },
+  resetPassword: {
+    ip: { limit: envInt('RATE_LIMIT_RESET_PASSWORD_PER_IP', 20), windowSeconds: 15 * 60 },
+    account: { limit: envInt('RATE_LIMIT_RESET_PASSWORD_PER_ACCOUNT', 10), windowSeconds: 15 * 60 },
+  },
+  revealCard: {
+    account: { limit: envInt('RATE_LIMIT_REVEAL_CARD_PER_ACCOUNT', 30), windowSeconds: 60 * 60 },
+  },
+};
+
+// Progressive lockout: after `threshold` failures the subject is locked for baseSeconds,
+// and every further failure doubles the lock (up to maxSeconds)
+const LOCKOUT_CONFIG = {
+  threshold: envInt('LOCKOUT_THRESHOLD', 5),
+  baseSeconds: envInt('LOCKOUT_BASE_SECONDS', 60),
+  maxSeconds: envInt('LOCKOUT_MAX_SECONDS', 60 * 60),
+  failureWindowSeconds: envInt('LOCKOUT_FAILURE_WINDOW_SECONDS', 24 * 60 * 60),
+};
+
+const normalizeSubject = (value) => {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+};
+
+const tooManyRequests = (res, retryAfterSeconds, error) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ success: false, error, retryAfter });
+};
+
+/**
+ * Fixed-window rate limit for an endpoint
+ * @param {string} name - Key in RATE_LIMITS
+ * @param {Object<string, (req: object) => string>} keyGetters - Picks the ip / phone / account from the request
+ */
+const rateLimit = (name, keyGetters) => async (req, res, next) => {
+  try {
+    const limits = RATE_LIMITS[name] || {};
+    const now = Date.now();
+
+    for (const [type, { limit, windowSeconds }] of Object.entries(limits)) {
+      const value = normalizeSubject(keyGetters[type]?.(req));
+      if (!value) continue;
+
+      const windowMs = windowSeconds * 1000;
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const count = await rateLimitStore.increment(`rl:${name}:${type}:${value}:${windowStart}`, windowSeconds);
+
+      if (count > limit) {
+        console.warn(`🚦 Rate limit hit: ${name} (${type})`);
+        return tooManyRequests(res, (windowStart + windowMs - now) / 1000, 'Too many requests. Please try again later.');
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Never lock everyone out because the counter storage is down
+    console.error('❌ Rate limit check failed, allowing request:', error);
+    next();
+  }
+};
+
+/**
+ * Brute-force guard for code/password checks.
+ * Rejects locked subjects, and gives the route req.bruteForce.recordFailure() / reset()
+ * to call once it knows whether the attempt succeeded.
+ * @param {string} name - Lockout namespace (share it between endpoints that check the same secret)
+ * @param {(req: object) => string} getSubject - Picks the phone number / account from the request
+ */
+const bruteForceGuard = (name, getSubject) => async (req, res, next) => {
+  const subject = normalizeSubject(getSubject(req));
+  const noop = async () => {};
+  req.bruteForce = { recordFailure: noop, reset: noop };
+
+  if (!subject) {
+    return next();
+  }
+
+  const lockKey = `lock:${name}:${subject}`;
+  const failKey = `fail:${name}:${subject}`;
+
+  try {
+    const lockedUntil = await rateLimitStore.get(lockKey);
+    if (lockedUntil && lockedUntil > Date.now()) {
+      console.warn(`🔒 Locked out: ${name}`);
+      return tooManyRequests(res, (lockedUntil - Date.now()) / 1000, 'Too many failed attempts. Please try again later.');
+    }
+  } catch (error) {
+    console.error('❌ Lockout check failed, allowing request:', error);
+  }
+
+  req.bruteForce = {
+    async recordFailure() {
+      try {
+        const failures = await rateLimitStore.increment(failKey, LOCKOUT_CONFIG.failureWindowSeconds);
+        if (failures >= LOCKOUT_CONFIG.threshold) {
+          const lockSeconds = Math.min(
+            LOCKOUT_CONFIG.baseSeconds * Math.pow(2, failures - LOCKOUT_CONFIG.threshold),
+            LOCKOUT_CONFIG.maxSeconds
+          );
+          await rateLimitStore.set(lockKey, Date.now() + lockSeconds * 1000, lockSeconds);
+          console.warn(`🔒 ${name} locked for ${lockSeconds}s after ${failures} failures`);
+        }
+      } catch (error) {
+        console.error('❌ Failed to record failed attempt:', error);
+      }
+    },
+
+    async reset() {
+      try {
+        await Promise.all([rateLimitStore.delete(failKey), rateLimitStore.delete(lockKey)]);
+      } catch (error) {
+        console.error('❌ Failed to reset failed attempts:', error);
+      }
+    },
+  };
+
+  next();
+};
+
+module.exports = { rateLimit, bruteForceGuard, RATE_LIMITS, LOCKOUT_CONFIG };
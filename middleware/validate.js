@@ -0,0 +1,168 @@
+// Declarative request validation.
+//
+// A schema lists the allowed fields of req.body / req.query / req.params with a rule per field:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'email' | 'enum' | 'array' | 'object' | 'any',
+//     required, nullable, minLength, maxLength, pattern, min, max, decimals, values, items, fields, maxItems,
+//     check: (value, data) => true | 'error message' }
+// Fields that aren't listed are rejected, so clients can only write what the schema whitelists.
+// Every problem is reported at once: 422 { success: false, error, errors: [{ field, message }] }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isMissing = (value) => value === undefined || value === '';
+
+// Query strings and path params are always strings - numbers and booleans are parsed before checking
+const coerce = (value, rule) => {
+  if (typeof value !== 'string') return value;
+  if (rule.type === 'number' || rule.type === 'integer') {
+    return value.trim() === '' ? value : Number(value);
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Check one value against its rule
+ * @returns {{field: string, message: string}[]}
+ */
+const checkValue = (value, rule, field, data) => {
+  const fail = message => [{ field, message }];
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(value.trim())) return fail('must be a valid email address');
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return fail(`must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return fail(rule.patternMessage || 'has an invalid format');
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+      if (rule.positive && value <= 0) return fail('must be a positive number');
+      if (rule.decimals !== undefined) {
+        const factor = Math.pow(10, rule.decimals);
+        if (Math.abs(value * factor - Math.round(value * factor)) > 1e-6) {
+          return fail(`can have at most ${rule.decimals} decimal places`);
+        }
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        return fail('must be a date (YYYY-MM-DD or ISO 8601)');
+      }
+      break;
+
+    case 'enum':
+      if (!rule.values.includes(value)) return fail(`must be one of: ${rule.values.join(', ')}`);
+      break;
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        return value.flatMap((item, index) => checkValue(item, rule.items, `${field}[${index}]`, data));
+      }
+      break;
+    }
+
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (rule.fields) {
+        return checkFields(value, rule.fields, `${field}.`);
+      }
+      break;
+
+    case 'any':
+    default:
+      break;
+  }
+
+  if (rule.check) {
+    const result = rule.check(value, data);
+    if (result !== true) return fail(result || 'is invalid');
+  }
+  return [];
+};
+
+/**
+ * Check an object against a field map (unknown fields are errors)
+ * @param {object} data
+ * @param {Object<string, object>} fields
+ * @param {string} prefix - Path prefix for nested objects
+ * @param {{coerceStrings?: boolean}} options
+ */
+const checkFields = (data, fields, prefix = '', { coerceStrings = false } = {}) => {
+  const errors = [];
+  const values = data || {};
+
+  Object.keys(values).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      errors.push({ field: `${prefix}${key}`, message: 'is not allowed' });
+    }
+  });
+
+  Object.entries(fields).forEach(([key, rule]) => {
+    const raw = values[key];
+    if (isMissing(raw)) {
+      if (rule.required) errors.push({ field: `${prefix}${key}`, message: 'is required' });
+      return;
+    }
+    if (raw === null) {
+      if (!rule.nullable) errors.push({ field: `${prefix}${key}`, message: 'can\'t be null' });
+      return;
+    }
+    const value = coerceStrings ? coerce(raw, rule) : raw;
+    errors.push(...checkValue(value, rule, `${prefix}${key}`, values));
+  });
+
+  return errors;
+};
+
+/**
+ * Validation middleware
+ * @param {{body?: object, query?: object, params?: object}} schema - Field maps per request part
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  if (schema.params) {
+    errors.push(...checkFields(req.params, schema.params, '', { coerceStrings: true }));
+  }
+  if (schema.query) {
+    errors.push(...checkFields(req.query, schema.query, '', { coerceStrings: true }));
+  }
+  if (schema.body) {
+    if (req.body !== undefined && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      errors.push({ field: 'body', message: 'must be a JSON object' });
+    } else {
+      errors.push(...checkFields(req.body, schema.body));
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(422).json({ success: false, error: 'Validation failed', errors });
+  }
+  next();
+};
+
+module.exports = { validate, checkFields };
@@ -2,12 +2,39 @@ const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
 const smsService = require('../services/smsService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const { requireSelf } = require('../middleware/auth');
+const { rateLimit, bruteForceGuard } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const authSchemas = require('../schemas/auth');
+const { normalizePhone } = require('../services/phoneUtils');
+const { pageFromQuery } = require('../services/queryUtils');
 
-router.post('/register', async (req, res) => {
+const getDeviceInfo = (req) => ({
+  deviceName: req.body?.deviceName || req.headers['x-device-name'] || null,
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip,
+});
+
+// Start a device session for a successful login/registration and attach its tokens
+const withSession = async (req, result) => {
+  const session = await sessionService.createSession(result.user.id, getDeviceInfo(req));
+  if (!session.success) {
+    throw new Error(session.error);
+  }
+  return {
+    ...result,
+    ...tokenService.issueAccessToken(result.user, session.sessionId),
+    refreshToken: session.refreshToken,
+  };
+};
+
+router.post('/register', validate(authSchemas.register), async (req, res) => {
   try {
     const result = await authService.registerWithEmail(req.body);
     if (result.success) {
-      res.json(result);
+      res.json(await withSession(req, result));
     } else {
       res.status(400).json(result);
     }
@@ -16,13 +43,14 @@ router.post('/register', async (req, res) => {
   }
 });
 
-router.post('/register-with-google', async (req, res) => {
+router.post('/register-with-google', validate(authSchemas.registerWithGoogle), async (req, res) => {
   try {
-    console.log('📝 Register with Google request:', req.body);
     const result = await authService.registerWithGoogle(req.body);
-    console.log('📝 Register with Google result:', result);
+    console.log('📝 Register with Google result:', { success: result.success, userId: result.user?.id, error: result.error });
     if (result.success) {
-      res.json(result);
+      res.json(await withSession(req, result));
+    } else if (result.needsLinking) {
+      res.status(409).json(result);
     } else {
       res.status(400).json(result);
     }
@@ -32,13 +60,23 @@ router.post('/register-with-google', async (req, res) => {
   }
 });
 
-router.post('/login', async (req, res) => {
+// Login attempts are limited per IP and per account, and repeated wrong passwords lock the account
+const loginLimit = rateLimit('login', { ip: req => req.ip, account: req => req.body.email });
+const passwordGuard = bruteForceGuard('password', req => req.body.email);
+
+router.post('/login', validate(authSchemas.login), loginLimit, passwordGuard, async (req, res) => {
   try {
     const { email, password } = req.body;
     const result = await authService.loginWithEmail(email, password);
-    if (result.success) {
+    if (result.success && result.twoFactorRequired) {
+      // Password was right - the client now has to call /login/2fa with the challenge token
+      await req.bruteForce.reset();
       res.json(result);
+    } else if (result.success) {
+      await req.bruteForce.reset();
+      res.json(await withSession(req, result));
     } else {
+      await req.bruteForce.recordFailure();
       res.status(401).json(result);
     }
   } catch (error) {
@@ -46,22 +84,126 @@ router.post('/login', async (req, res) => {
   }
 });
 
-router.post('/search-users', async (req, res) => {
+// Wrong 2FA codes lock the user's 2FA checks (login and management alike)
+const twoFactorLimit = rateLimit('verifyTwoFactor', { ip: req => req.ip });
+const twoFactorGuard = bruteForceGuard('totp', req => {
+  return req.user ? req.user.id : tokenService.verifyChallengeToken(req.body.challengeToken).userId;
+});
+
+// Second login step when 2FA is enabled: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/login/2fa', validate(authSchemas.loginTwoFactor), twoFactorLimit, twoFactorGuard, async (req, res) => {
   try {
-    const { query } = req.body;
-    const result = await authService.getUsers({ query });
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, error: 'Challenge token and code required' });
+    }
+
+    const result = await authService.completeTwoFactorLogin(challengeToken, { code, recoveryCode });
+    if (result.success) {
+      await req.bruteForce.reset();
+      res.json(await withSession(req, result));
+    } else {
+      if (result.reauthFailed) {
+        await req.bruteForce.recordFailure();
+      }
+      res.status(401).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token + rotated refresh token
+router.post('/refresh', validate(authSchemas.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const result = await sessionService.rotateRefreshToken(refreshToken, getDeviceInfo(req));
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    res.json({
+      success: true,
+      ...tokenService.issueAccessToken({ id: result.userId }, result.sessionId),
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    if (!req.user.sessionId) {
+      return res.json({ success: true });
+    }
+    const result = await sessionService.revokeSession(req.user.id, req.user.sessionId, 'logout');
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.get('/user/:userId', async (req, res) => {
+// Active sessions (devices) of the authenticated user
+router.get('/sessions', async (req, res) => {
+  try {
+    const result = await sessionService.listSessions(req.user.id, req.user.sessionId);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', async (req, res) => {
+  try {
+    const result = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.user.sessionId,
+      reason: 'revoked_by_user',
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/sessions/:sessionId', validate(authSchemas.sessionParams), async (req, res) => {
+  try {
+    const result = await sessionService.revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/search-users', validate(authSchemas.searchUsers), async (req, res) => {
+  try {
+    const { query } = req.body;
+    const result = await authService.getUsers({ query }, pageFromQuery(req.query));
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.error === 'Invalid cursor' ? 400 : 500).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/user/:userId', validate(authSchemas.userParams), requireSelf(req => req.params.userId), async (req, res) => {
   try {
     const { userService } = require('../services/aws');
     const result = await userService.getUserById(req.params.userId);
     if (result.success) {
-      res.json(result);
+      res.json({ ...result, user: authService.sanitizeUser(result.user) });
     } else {
       res.status(404).json(result);
     }
@@ -70,7 +212,7 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
-router.put('/profile/:userId', async (req, res) => {
+router.put('/profile/:userId', validate(authSchemas.updateProfile), requireSelf(req => req.params.userId), async (req, res) => {
   try {
     const result = await authService.updateUserProfile(req.params.userId, req.body);
     if (result.success) {
@@ -83,28 +225,15 @@ router.put('/profile/:userId', async (req, res) => {
   }
 });
 
-router.post('/change-password/:userId', async (req, res) => {
+router.post('/change-password/:userId', validate(authSchemas.changePassword), requireSelf(req => req.params.userId), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Current password and new password are required' 
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'New password must be at least 6 characters long' 
-      });
-    }
 
     const result = await authService.changePassword(
       req.params.userId, 
       currentPassword, 
-      newPassword
+      newPassword,
+      req.user.sessionId
     );
     
     if (result.success) {
@@ -117,50 +246,30 @@ router.post('/change-password/:userId', async (req, res) => {
   }
 });
 
-// Helper function to normalize phone number to international format
-// Note: For AWS SNS Sandbox, the number must match exactly as verified
-// If verified as +9720549369402, we must send +9720549369402 (with 0)
-const normalizePhoneNumber = (phoneNumber) => {
-  if (!phoneNumber) return phoneNumber;
-  
-  let normalized = phoneNumber.trim();
-  
-  // If already in international format, return as is
-  if (normalized.startsWith('+')) {
-    return normalized;
-  }
-  
-  // Remove any spaces or dashes
-  normalized = normalized.replace(/[\s\-]/g, '');
-  
-  // If it starts with 0, replace 0 with +972 (keeps the rest including leading 0)
-  // Example: 0549369402 -> +9720549369402 (for AWS Sandbox compatibility)
-  if (normalized.startsWith('0')) {
-    normalized = '+972' + normalized; // Keep the 0 after 972
-  } else if (normalized.startsWith('972')) {
-    // Already has country code but no +
-    normalized = '+' + normalized;
-  } else {
-    // Assume Israeli number without leading 0 or country code
-    normalized = '+972' + normalized;
-  }
-  
-  console.log('📞 Phone normalization:', phoneNumber, '->', normalized);
-  return normalized;
-};
+// Canonical E.164 form of the phone number in the request body (null if invalid).
+// `country` (e.g. "US") is only needed for local numbers from outside Israel.
+const phoneFromBody = (req) => normalizePhone(req.body.phoneNumber, req.body.country);
+
+// SMS sends are limited per IP and per number (SNS costs money),
+// and wrong codes lock the number for verify-otp and login-with-phone alike
+const sendOtpLimit = rateLimit('sendOtp', {
+  ip: req => req.ip,
+  phone: phoneFromBody,
+});
+const verifyOtpLimit = rateLimit('verifyOtp', {
+  ip: req => req.ip,
+  phone: phoneFromBody,
+});
+const otpGuard = bruteForceGuard('phone-otp', phoneFromBody);
 
 // SMS OTP endpoints
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', validate(authSchemas.sendOtp), sendOtpLimit, async (req, res) => {
   try {
     const { phoneNumber } = req.body;
     console.log('📞 Received send-otp request for:', phoneNumber);
     
-    if (!phoneNumber) {
-      return res.status(400).json({ success: false, error: 'Phone number required' });
-    }
-    
-    // Normalize phone number to international format
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    // Normalize phone number to E.164
+    const normalizedPhone = phoneFromBody(req);
     console.log('📞 Normalized phone number:', normalizedPhone);
     
     // Check if user exists first
@@ -188,37 +297,36 @@ router.post('/send-otp', async (req, res) => {
   }
 });
 
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', validate(authSchemas.verifyOtp), verifyOtpLimit, otpGuard, async (req, res) => {
   try {
-    const { phoneNumber, code } = req.body;
-    if (!phoneNumber || !code) {
-      return res.status(400).json({ success: false, error: 'Phone number and code required' });
-    }
-    
+    const { code } = req.body;
     // Normalize phone number to match the format used when sending OTP
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
-    const isValid = smsService.verifyOTP(normalizedPhone, code);
+    const normalizedPhone = phoneFromBody(req);
+    const isValid = await smsService.verifyOTP(normalizedPhone, code);
+    if (isValid) {
+      await req.bruteForce.reset();
+    } else {
+      await req.bruteForce.recordFailure();
+    }
     res.json({ success: isValid, verified: isValid });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/login-with-phone', async (req, res) => {
+router.post('/login-with-phone', validate(authSchemas.verifyOtp), verifyOtpLimit, otpGuard, async (req, res) => {
   try {
-    const { phoneNumber, code } = req.body;
-    if (!phoneNumber || !code) {
-      return res.status(400).json({ success: false, error: 'Phone number and code required' });
-    }
-    
+    const { code } = req.body;
     // Normalize phone number to match the format used when sending OTP
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    const normalizedPhone = phoneFromBody(req);
     
     // Verify OTP first
-    const isValid = smsService.verifyOTP(normalizedPhone, code);
+    const isValid = await smsService.verifyOTP(normalizedPhone, code);
     if (!isValid) {
+      await req.bruteForce.recordFailure();
       return res.status(401).json({ success: false, error: 'Invalid or expired OTP code' });
     }
+    await req.bruteForce.reset();
     
     // Check if user exists (use normalized phone for search)
     const existingUser = await authService.getUserByPhone(normalizedPhone);
@@ -237,21 +345,222 @@ router.post('/login-with-phone', async (req, res) => {
       lastLoginAt: new Date().toISOString() 
     });
     
-    const { passwordHash: _, ...userWithoutPassword } = existingUser.user;
-    res.json({ success: true, user: userWithoutPassword });
+    res.json(await withSession(req, { success: true, user: authService.sanitizeUser(existingUser.user) }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Phone registration - send an OTP to a number that isn't registered yet, then sign up with it
+router.post('/register-with-phone/send-otp', validate(authSchemas.sendOtp), sendOtpLimit, async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+    const normalizedPhone = phoneFromBody(req);
+
+    const existingUser = await authService.getUserByPhone(normalizedPhone);
+    if (!existingUser.success) {
+      return res.status(500).json({ success: false, error: existingUser.error });
+    }
+    if (existingUser.user) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists with this phone number. Please sign in instead.',
+        alreadyRegistered: true,
+      });
+    }
+
+    const result = await smsService.sendOTP(normalizedPhone, true);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/register-with-phone', validate(authSchemas.registerWithPhone), verifyOtpLimit, otpGuard, async (req, res) => {
+  try {
+    const { code, name } = req.body;
+    const normalizedPhone = phoneFromBody(req);
+
+    const result = await authService.registerWithPhone(normalizedPhone, code, name);
+    if (result.success) {
+      await req.bruteForce.reset();
+      res.json(await withSession(req, result));
+    } else if (result.invalidCode) {
+      await req.bruteForce.recordFailure();
+      res.status(401).json(result);
+    } else if (result.alreadyRegistered) {
+      res.status(409).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Account linking - every change needs re-authentication with a currently linked method
+// (req.body.reauth = { password } | { idToken } | { phoneCode }), and failed proofs count towards lockout
+const reauthGuard = bruteForceGuard('reauth', req => req.user.id);
+
+const sendReauthResult = async (req, res, result) => {
+  if (result.success) {
+    await req.bruteForce.reset();
+    return res.json(result);
+  }
+  if (result.reauthFailed) {
+    await req.bruteForce.recordFailure();
+    return res.status(401).json(result);
+  }
+  res.status(400).json(result);
+};
+
+router.post('/link/google', validate(authSchemas.linkGoogle), reauthGuard, async (req, res) => {
+  try {
+    const { idToken, reauth } = req.body;
+    const result = await authService.linkGoogle(req.user.id, idToken, reauth);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send an OTP to the number that is about to be linked
+router.post('/link/phone/send-otp', validate(authSchemas.sendOtp), sendOtpLimit, async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+    const normalizedPhone = phoneFromBody(req);
+
+    const existingUser = await authService.getUserByPhone(normalizedPhone);
+    if (existingUser.success && existingUser.user && existingUser.user.id !== req.user.id) {
+      return res.status(400).json({ success: false, error: 'This phone number is already linked to another user' });
+    }
+
+    const result = await smsService.sendOTP(normalizedPhone, true);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/link/phone', validate(authSchemas.linkPhone), verifyOtpLimit, reauthGuard, async (req, res) => {
+  try {
+    const { code, reauth } = req.body;
+    const normalizedPhone = phoneFromBody(req);
+
+    const result = await authService.linkPhone(req.user.id, normalizedPhone, code, reauth);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/link/email', validate(authSchemas.linkEmail), reauthGuard, async (req, res) => {
+  try {
+    const { email, password, reauth } = req.body;
+    const result = await authService.linkEmail(req.user.id, email, password, reauth);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/link/:method', validate(authSchemas.unlink), reauthGuard, async (req, res) => {
+  try {
+    const result = await authService.unlinkAuthMethod(req.user.id, req.params.method, req.body?.reauth);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Two-factor authentication (TOTP) management
+router.post('/2fa/enroll', async (req, res) => {
+  try {
+    const result = await authService.enrollTwoFactor(req.user.id);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+router.post('/2fa/confirm', validate(authSchemas.twoFactorCode), twoFactorGuard, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await authService.confirmTwoFactor(req.user.id, code);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/2fa/disable', validate(authSchemas.disableTwoFactor), twoFactorGuard, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, error: 'Password and code required' });
+    }
+
+    const result = await authService.disableTwoFactor(req.user.id, password, { code, recoveryCode });
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/2fa/recovery-codes', validate(authSchemas.twoFactorCode), twoFactorGuard, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await authService.regenerateRecoveryCodes(req.user.id, code);
+    await sendReauthResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Email verification (link from the verification email carries userId + token)
+const verifyEmailLimit = rateLimit('verifyEmail', { ip: req => req.ip });
+const resendVerificationLimit = rateLimit('resendVerification', { ip: req => req.ip, account: req => req.user.id });
+
+router.post('/verify-email', validate(authSchemas.verifyEmail), verifyEmailLimit, async (req, res) => {
+  try {
+    const { userId, token } = req.body;
+    const result = await authService.verifyEmail(userId, token);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/verify-email/resend', resendVerificationLimit, async (req, res) => {
+  try {
+    const result = await authService.resendVerificationEmail(req.user.id);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reset codes are limited per IP and per account, and wrong codes lock the account's reset flow
+const forgotPasswordLimit = rateLimit('forgotPassword', { ip: req => req.ip, account: req => req.body.emailOrPhone });
+const resetPasswordLimit = rateLimit('resetPassword', { ip: req => req.ip, account: req => req.body.emailOrPhone });
+const resetCodeGuard = bruteForceGuard('reset-code', req => req.body.emailOrPhone);
+
 // Password reset endpoints
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', validate(authSchemas.forgotPassword), forgotPasswordLimit, async (req, res) => {
   try {
     const { emailOrPhone } = req.body;
-    if (!emailOrPhone) {
-      return res.status(400).json({ success: false, error: 'Email or phone number required' });
-    }
-    
     const result = await authService.requestPasswordReset(emailOrPhone);
     if (result.success) {
       res.json(result);
@@ -263,28 +572,16 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', validate(authSchemas.resetPassword), resetPasswordLimit, resetCodeGuard, async (req, res) => {
   try {
     const { emailOrPhone, resetCode, newPassword } = req.body;
-    
-    if (!emailOrPhone || !resetCode || !newPassword) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email/phone, reset code, and new password are required' 
-      });
-    }
-    
-    if (newPassword.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Password must be at least 6 characters long' 
-      });
-    }
-    
+
     const result = await authService.resetPassword(emailOrPhone, resetCode, newPassword);
     if (result.success) {
+      await req.bruteForce.reset();
       res.json(result);
     } else {
+      await req.bruteForce.recordFailure();
       res.status(400).json(result);
     }
   } catch (error) {
@@ -293,13 +590,9 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // Get presigned URL for uploading profile image
-router.post('/profile-image/presigned-url', async (req, res) => {
+router.post('/profile-image/presigned-url', validate(authSchemas.profileImageUrl), requireSelf(req => req.body.userId), async (req, res) => {
   try {
     const { userId, imageType = 'jpg' } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'Missing userId' });
-    }
 
     const { s3Service } = require('../services/aws');
     const result = await s3Service.getPresignedProfileImageUrl(userId, imageType);
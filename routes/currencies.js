@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { currencyService, SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../services/currencyService');
+
+// Supported currencies and the rate table the server converts with
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    currencies: SUPPORTED_CURRENCIES,
+    defaultCurrency: DEFAULT_CURRENCY,
+    ...currencyService.getRates(),
+  });
+});
+
+module.exports = router;
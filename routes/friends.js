@@ -1,26 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { friendService, sharedGiftCardService } = require('../services/friendService');
+const { giftCardService } = require('../services/aws');
+const { requireSelf } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const friendSchemas = require('../schemas/friends');
+const { pageFromQuery } = require('../services/queryUtils');
 
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', validate(friendSchemas.userList), requireSelf(req => req.params.userId), async (req, res) => {
   try {
-    const result = await friendService.getFriends(req.params.userId);
-    res.json(result);
+    const result = await friendService.getFriends(req.params.userId, pageFromQuery(req.query));
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.error === 'Invalid cursor' ? 400 : 500).json(result);
+    }
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.get('/:userId/pending', async (req, res) => {
+router.get('/:userId/pending', validate(friendSchemas.userList), requireSelf(req => req.params.userId), async (req, res) => {
   try {
-    const result = await friendService.getPendingRequests(req.params.userId);
+    const result = await friendService.getPendingRequests(req.params.userId, pageFromQuery(req.query));
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/request', async (req, res) => {
+router.post('/request', validate(friendSchemas.friendRequest), requireSelf(req => req.body.userId), async (req, res) => {
   try {
     const { userId, friendId } = req.body;
     const result = await friendService.sendFriendRequest(userId, friendId);
@@ -30,7 +39,8 @@ router.post('/request', async (req, res) => {
   }
 });
 
-router.post('/accept', async (req, res) => {
+// Only the user who received the request (friendId) can accept it
+router.post('/accept', validate(friendSchemas.friendRequest), requireSelf(req => req.body.friendId), async (req, res) => {
   try {
     const { userId, friendId } = req.body;
     const result = await friendService.acceptFriend(userId, friendId);
@@ -40,18 +50,31 @@ router.post('/accept', async (req, res) => {
   }
 });
 
-router.delete('/:userId/:friendId', async (req, res) => {
+router.delete('/:userId/:friendId', validate(friendSchemas.removeFriend), async (req, res) => {
   try {
-    const result = await friendService.removeFriend(req.params.userId, req.params.friendId);
+    // Either side of the friendship can remove it
+    const { userId, friendId } = req.params;
+    if (req.user.id !== userId && req.user.id !== friendId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const result = await friendService.removeFriend(userId, friendId);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/share-giftcard', async (req, res) => {
+router.post('/share-giftcard', validate(friendSchemas.shareGiftCard), requireSelf(req => req.body.fromUserId), async (req, res) => {
   try {
     const { fromUserId, toUserId, giftCardId, shareType } = req.body;
+
+    // Only the owner of a card can share it
+    const cardResult = await giftCardService.getGiftCardById(giftCardId);
+    if (!cardResult.success || !cardResult.card || cardResult.card.userId !== fromUserId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
     const result = await sharedGiftCardService.shareGiftCard({
       fromUserId,
       toUserId,
@@ -64,18 +87,18 @@ router.post('/share-giftcard', async (req, res) => {
   }
 });
 
-router.get('/shared/received/:userId', async (req, res) => {
+router.get('/shared/received/:userId', validate(friendSchemas.userList), requireSelf(req => req.params.userId), async (req, res) => {
   try {
-    const result = await sharedGiftCardService.getReceivedGiftCards(req.params.userId);
+    const result = await sharedGiftCardService.getReceivedGiftCards(req.params.userId, pageFromQuery(req.query));
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.get('/shared/sent/:userId', async (req, res) => {
+router.get('/shared/sent/:userId', validate(friendSchemas.userList), requireSelf(req => req.params.userId), async (req, res) => {
   try {
-    const result = await sharedGiftCardService.getSentGiftCards(req.params.userId);
+    const result = await sharedGiftCardService.getSentGiftCards(req.params.userId, pageFromQuery(req.query));
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1,43 +1,253 @@
 const express = require('express');
+const crypto = require('crypto');
+const { once } = require('events');
 const router = express.Router();
 const { giftCardService, s3Service } = require('../services/aws');
+const { sharedGiftCardService } = require('../services/friendService');
+const { ledgerService } = require('../services/ledgerService');
+const { cardSecrets } = require('../services/cardSecrets');
+const { auditService } = require('../services/auditService');
+const { walletTransferService } = require('../services/walletTransferService');
+const { walletSearchService } = require('../services/walletSearchService');
+const { walletAnalyticsService } = require('../services/walletAnalyticsService');
+const { cardLifecycleService, CARD_VIEWS } = require('../services/cardLifecycleService');
+const { merchantService } = require('../services/merchantService');
+const { barcodeService } = require('../services/barcodeService');
+const { requireSelf } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { resolveCurrency } = require('../middleware/currency');
+const { pageFromQuery } = require('../services/queryUtils');
+const { validate } = require('../middleware/validate');
+const giftCardSchemas = require('../schemas/giftcards');
 
-router.get('/:userId', async (req, res) => {
+// Card numbers and PINs are never returned in bulk - only masked, and in full through /reveal
+const maskCards = (result) => ({
+  ...result,
+  ...(result.card && { card: cardSecrets.mask(result.card) }),
+  ...(result.cards && { cards: result.cards.map(card => cardSecrets.mask(card)) }),
+});
+
+// Load the card from :cardId and make sure the authenticated user owns it
+const loadOwnedCard = async (req, res, next) => {
   try {
-    const result = await giftCardService.getUserGiftCards(req.params.userId);
-    res.json(result);
+    const result = await giftCardService.getGiftCardById(req.params.cardId);
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    if (!result.card) {
+      return res.status(404).json({ success: false, error: 'Gift card not found' });
+    }
+    if (result.card.userId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    req.card = result.card;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Load the card from :cardId for its owner or a friend it was shared with
+const loadReadableCard = async (req, res, next) => {
+  try {
+    const result = await giftCardService.getGiftCardById(req.params.cardId);
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    if (!result.card) {
+      return res.status(404).json({ success: false, error: 'Gift card not found' });
+    }
+    if (result.card.userId !== req.user.id && !(await sharedGiftCardService.isSharedWith(result.card, req.user.id))) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    req.card = result.card;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Wallet import - CSV as a text/csv body, or JSON: [...] / { format: 'json', cards: [...] } / { format: 'csv', csv: '...' }.
+// The short forms are turned into the object form so one schema validates them all.
+const normalizeImportBody = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    req.body = { format: 'csv', csv: req.body };
+  } else if (Array.isArray(req.body)) {
+    req.body = { format: 'json', cards: req.body };
+  } else if (req.body && typeof req.body === 'object') {
+    req.body = { format: 'json', ...req.body };
+  }
+  next();
+};
+
+router.post('/import', express.text({ type: 'text/csv', limit: '5mb' }), normalizeImportBody, validate(giftCardSchemas.importWallet), async (req, res) => {
+  try {
+    const { format, cards, csv } = req.body;
+
+    const parsed = walletTransferService.parseImport(format, format === 'csv' ? csv : cards);
+    if (!parsed.success) {
+      return res.status(400).json(parsed);
+    }
+
+    const result = await walletTransferService.importWallet(req.user.id, parsed.rows);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('❌ Error importing wallet:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Wallet export - ?format=csv|json, card numbers/PINs are masked unless ?includeSecrets=true (audited per card).
+// Archived cards are exported, cards in the trash are not.
+router.get('/export', validate(giftCardSchemas.exportWallet), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const includeSecrets = req.query.includeSecrets === 'true';
+
+    const result = await giftCardService.getUserGiftCards(req.user.id);
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    const cards = result.cards.filter(card => !CARD_VIEWS.trash.matches(card));
+
+    if (includeSecrets) {
+      for (const card of cards) {
+        const audit = await auditService.recordCardReveal({
+          giftCardId: card.id,
+          ownerId: card.userId,
+          revealedBy: req.user.id,
+          source: 'export',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+        });
+        if (!audit.success) {
+          return res.status(500).json({ success: false, error: 'Failed to export wallet' });
+        }
+      }
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="ziko-wallet-${date}.${format}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    for await (const chunk of walletTransferService.exportWallet(cards, format, { includeSecrets })) {
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('❌ Error exporting wallet:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Wallet filters - anything besides ?limit=&cursor= switches from the plain newest-first listing to a search
+const WALLET_SEARCH_PARAMS = ['merchantId', 'storeName', 'status', 'minAmount', 'maxAmount', 'expiresFrom', 'expiresTo', 'sort', 'order'];
+
+// Newest first, ?limit=&cursor= - follow nextCursor until it is null.
+// ?view=archived|trash lists the archive or the trash instead of the wallet.
+router.get('/:userId', validate(giftCardSchemas.listCards), requireSelf(req => req.params.userId), resolveCurrency, async (req, res) => {
+  try {
+    const page = pageFromQuery(req.query);
+    if (!WALLET_SEARCH_PARAMS.some(param => param in req.query)) {
+      const view = CARD_VIEWS[req.query.view || 'wallet'];
+      const result = await giftCardService.getUserGiftCards(req.params.userId, page, view);
+      return res.json(maskCards(result));
+    }
+
+    const { minAmount, maxAmount, ...criteria } = req.query;
+    const result = await walletSearchService.searchCards(req.params.userId, {
+      ...criteria,
+      minAmount: minAmount === undefined ? undefined : Number(minAmount),
+      maxAmount: maxAmount === undefined ? undefined : Number(maxAmount),
+      currency: req.currency,
+    }, page);
+    if (!result.success) {
+      return res.status(result.error === 'Invalid cursor' ? 400 : 500).json(result);
+    }
+    res.json(maskCards(result));
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.get('/card/:cardId', async (req, res) => {
+// Remaining wallet value in one currency
+router.get('/:userId/totals', validate(giftCardSchemas.walletTotals), requireSelf(req => req.params.userId), resolveCurrency, async (req, res) => {
+  try {
+    const result = await walletSearchService.getTotals(req.params.userId, req.currency);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Home screen summary - value, expiring soon, by store/status and ?months= of spending
+router.get('/:userId/summary', validate(giftCardSchemas.walletSummary), requireSelf(req => req.params.userId), resolveCurrency, async (req, res) => {
+  try {
+    const result = await walletAnalyticsService.getSummary(req.params.userId, {
+      currency: req.currency,
+      months: req.query.months ? Number(req.query.months) : undefined,
+    });
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/card/:cardId', validate(giftCardSchemas.cardParams), async (req, res) => {
   try {
     const result = await giftCardService.getGiftCardById(req.params.cardId);
-    res.json(result);
+    if (!result.success || !result.card) {
+      return res.json(result);
+    }
+
+    // Owners can always read their card, friends only if it was shared with them
+    if (result.card.userId !== req.user.id) {
+      const shared = await sharedGiftCardService.isSharedWith(result.card, req.user.id);
+      if (!shared) {
+        return res.status(403).json({ success: false, error: 'Forbidden' });
+      }
+    }
+
+    res.json(maskCards(result));
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(giftCardSchemas.createCard), requireSelf(req => req.body.userId), async (req, res) => {
   try {
     const result = await giftCardService.createGiftCard(req.body);
     if (result.success) {
-      res.json(result);
+      res.json(maskCards(result));
     } else {
-      res.status(400).json(result);
+      res.status(result.conflict ? 409 : 400).json(result);
     }
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.put('/:cardId', async (req, res) => {
+// The schema only lets editable fields through - ownership, balance and the encrypted fields can't be set here
+router.put('/:cardId', validate(giftCardSchemas.updateCard), loadOwnedCard, async (req, res) => {
   try {
+    if (req.card.deletedAt) {
+      return res.status(409).json({ success: false, error: 'Gift card is in the trash' });
+    }
+    // A buyer gets the card as it was listed - unlist it first
+    if (req.card.status === 'listed') {
+      return res.status(409).json({ success: false, error: 'Gift card is listed on the marketplace' });
+    }
     const result = await giftCardService.updateGiftCard(req.params.cardId, req.body);
     if (result.success) {
-      res.json(result);
+      res.json(maskCards(result));
     } else {
       res.status(400).json(result);
     }
@@ -46,22 +256,173 @@ router.put('/:cardId', async (req, res) => {
   }
 });
 
-router.delete('/:cardId', async (req, res) => {
+// Archive / trash / restore - trashed cards are purged with their images after CARD_TRASH_RETENTION_DAYS
+const sendLifecycleResult = (res, result) => {
+  if (result.success) {
+    return res.json(maskCards(result));
+  }
+  res.status(result.conflict ? 409 : 500).json(result);
+};
+
+// Moves the card to the trash. ?permanent=true deletes a card that is already in the trash right away.
+router.delete('/:cardId', validate(giftCardSchemas.deleteCard), loadOwnedCard, async (req, res) => {
   try {
-    const result = await giftCardService.deleteGiftCard(req.params.cardId);
-    res.json(result);
+    const result = req.query.permanent === 'true'
+      ? await cardLifecycleService.purgeCard(req.card)
+      : await cardLifecycleService.trashCard(req.card);
+    sendLifecycleResult(res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/:cardId/archive', validate(giftCardSchemas.cardParams), loadOwnedCard, async (req, res) => {
+  try {
+    sendLifecycleResult(res, await cardLifecycleService.archiveCard(req.card));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/:cardId/restore', validate(giftCardSchemas.cardParams), loadOwnedCard, async (req, res) => {
+  try {
+    sendLifecycleResult(res, await cardLifecycleService.restoreCard(req.card));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Balance ledger - every redemption/top-up is recorded in ziko-transactions
+const sendBalanceChangeResult = (res, result) => {
+  if (result.success) {
+    return res.json(maskCards(result));
+  }
+  res.status(result.error === 'Insufficient balance' ? 409 : 400).json(result);
+};
+
+router.post('/:cardId/redeem', validate(giftCardSchemas.balanceChange), loadOwnedCard, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+    const result = await ledgerService.redeem(req.card.id, req.user.id, amount, note);
+    sendBalanceChangeResult(res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/:cardId/topup', validate(giftCardSchemas.balanceChange), loadOwnedCard, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+    const result = await ledgerService.topUp(req.card.id, req.user.id, amount, note);
+    sendBalanceChangeResult(res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:cardId/history', validate(giftCardSchemas.cardParams), loadOwnedCard, async (req, res) => {
+  try {
+    const result = await ledgerService.getBalanceHistory(req.card);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reveal the full card number and PIN of a single card (owner, or a friend it was shared with).
+// Every reveal is written to the audit log before anything is decrypted.
+const revealLimit = rateLimit('revealCard', { account: req => req.user.id });
+
+router.post('/:cardId/reveal', validate(giftCardSchemas.cardParams), revealLimit, loadReadableCard, async (req, res) => {
+  try {
+    const card = req.card;
+    const audit = await auditService.recordCardReveal({
+      giftCardId: card.id,
+      ownerId: card.userId,
+      revealedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+    if (!audit.success) {
+      return res.status(500).json({ success: false, error: 'Failed to reveal card details' });
+    }
+
+    const secrets = await cardSecrets.reveal(card);
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, cardId: card.id, ...secrets, revealedAt: audit.reveal.revealedAt });
+  } catch (error) {
+    console.error('❌ Error revealing card:', error);
+    res.status(500).json({ success: false, error: 'Failed to reveal card details' });
+  }
+});
+
+// The card number as a barcode/QR code for the checkout - ?type=svg|png, symbology from the merchant's barcodeFormat.
+// Private caching: the image only changes with the card, so a revalidation with a matching ETag gets a 304
+// without decrypting anything. Rendering the number counts as a reveal and is audited.
+router.get('/card/:cardId/barcode', validate(giftCardSchemas.barcode), revealLimit, loadReadableCard, async (req, res) => {
+  try {
+    const card = req.card;
+    const type = req.query.type || 'svg';
+    const format = merchantService.getBarcodeFormat(card.merchantId);
+
+    const version = [card.id, card.updatedAt || card.createdAt, format, type].join(':');
+    const etag = `"${crypto.createHash('sha256').update(version).digest('base64url').slice(0, 27)}"`;
+    const cacheHeaders = { 'Cache-Control': 'private, max-age=86400', ETag: etag, Vary: 'Authorization' };
+    if (req.get('If-None-Match')?.split(/\s*,\s*/).includes(etag)) {
+      return res.set(cacheHeaders).status(304).end();
+    }
+
+    if (!(card.cardNumberLast4 ?? card.cardNumber)) {
+      return res.status(404).json({ success: false, error: 'Gift card has no card number' });
+    }
+
+    const audit = await auditService.recordCardReveal({
+      giftCardId: card.id,
+      ownerId: card.userId,
+      revealedBy: req.user.id,
+      source: 'barcode',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+    if (!audit.success) {
+      return res.status(500).json({ success: false, error: 'Failed to render barcode' });
+    }
+
+    const { cardNumber } = await cardSecrets.reveal(card);
+    const result = await barcodeService.render(cardNumber, format, type);
+    if (!result.success) {
+      return res.status(422).json(result);
+    }
+    res.set(cacheHeaders).type(result.contentType).send(result.body);
+  } catch (error) {
+    console.error('❌ Error rendering barcode:', error);
+    res.status(500).json({ success: false, error: 'Failed to render barcode' });
+  }
+});
+
+// Who revealed the card and when (owner only)
+router.get('/:cardId/reveals', validate(giftCardSchemas.cardParams), loadOwnedCard, async (req, res) => {
+  try {
+    const result = await auditService.getCardReveals(req.card.id);
+    res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Get presigned URL for uploading image (client uploads directly to S3)
-router.post('/presigned-url', async (req, res) => {
+router.post('/presigned-url', validate(giftCardSchemas.presignedUrl), async (req, res) => {
   try {
     const { cardId, imageType = 'jpg' } = req.body;
-    
-    if (!cardId) {
-      return res.status(400).json({ success: false, error: 'Missing cardId' });
+
+    // Images are uploaded before a new card is saved, so only existing cards are checked
+    const existing = await giftCardService.getGiftCardById(cardId);
+    if (existing.success && existing.card && existing.card.userId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
     }
 
     const result = await s3Service.getPresignedUploadUrl(cardId, imageType);
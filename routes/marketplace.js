@@ -1,55 +1,146 @@
 const express = require('express');
 const router = express.Router();
 const { marketplaceService } = require('../services/aws');
+const { paymentService } = require('../services/paymentService');
+const { requireSelf } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { resolveCurrency } = require('../middleware/currency');
+const marketplaceSchemas = require('../schemas/marketplace');
+const { pageFromQuery } = require('../services/queryUtils');
 
-router.get('/', async (req, res) => {
+router.get('/', validate(marketplaceSchemas.listings), resolveCurrency, async (req, res) => {
   try {
-    const filters = req.query;
-    const result = await marketplaceService.getMarketplaceListings(filters);
+    // Query values are strings - prices are compared as numbers
+    const { merchantId, storeName, minPrice, maxPrice } = req.query;
+    const filters = {
+      merchantId,
+      storeName,
+      minPrice: minPrice === undefined ? undefined : Number(minPrice),
+      maxPrice: maxPrice === undefined ? undefined : Number(maxPrice),
+      currency: req.currency,
+    };
+    const result = await marketplaceService.getMarketplaceListings(filters, pageFromQuery(req.query));
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/list', async (req, res) => {
+router.post('/list', validate(marketplaceSchemas.listCard), requireSelf(req => req.body.sellerId), async (req, res) => {
   try {
     const result = await marketplaceService.listGiftCard(req.body);
     if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
+      return res.json(result);
     }
+    if (result.notFound) {
+      return res.status(404).json(result);
+    }
+    if (result.forbidden) {
+      return res.status(403).json(result);
+    }
+    res.status(result.conflict ? 409 : 500).json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', validate(marketplaceSchemas.purchase), requireSelf(req => req.body.buyerId), async (req, res) => {
   try {
-    const { listingId, buyerId } = req.body;
-    const result = await marketplaceService.purchaseGiftCard(listingId, buyerId);
-    res.json(result);
+    const { listingId, buyerId, paymentMethodId } = req.body;
+    const result = await paymentService.purchase(listingId, buyerId, paymentMethodId);
+    if (result.success) {
+      return res.json(result);
+    }
+    if (result.declined) {
+      return res.status(402).json(result);
+    }
+    if (result.notFound) {
+      return res.status(404).json(result);
+    }
+    if (result.forbidden) {
+      return res.status(403).json(result);
+    }
+    res.status(result.conflict ? 409 : 500).json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.delete('/unlist/:listingId', async (req, res) => {
+router.delete('/unlist/:listingId', validate(marketplaceSchemas.unlist), async (req, res) => {
   try {
     const { listingId } = req.params;
     const { sellerId } = req.body;
-    
-    if (!sellerId) {
-      return res.status(400).json({ success: false, error: 'sellerId is required' });
+
+    if (sellerId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
     }
     
     const result = await marketplaceService.unlistGiftCard(listingId, sellerId);
     if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
+      return res.json(result);
+    }
+    if (result.notFound) {
+      return res.status(404).json(result);
+    }
+    if (result.forbidden) {
+      return res.status(403).json(result);
+    }
+    res.status(result.conflict ? 409 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sets req.payment when the user is the buyer or the seller of the payment
+const loadPayment = async (req, res, next) => {
+  try {
+    const result = await paymentService.getPayment(req.params.paymentId);
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    const payment = result.payment;
+    if (!payment || (payment.buyerId !== req.user.id && payment.sellerId !== req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+    req.payment = payment;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const requireBuyer = (req, res, next) => {
+  if (req.payment.buyerId !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'Only the buyer can do this' });
+  }
+  next();
+};
+
+router.get('/payments/:paymentId', validate(marketplaceSchemas.payment), loadPayment, (req, res) => {
+  res.json({ success: true, payment: req.payment });
+});
+
+// The buyer confirms the card works - the held money goes to the seller
+router.post('/payments/:paymentId/confirm', validate(marketplaceSchemas.payment), loadPayment, requireBuyer, async (req, res) => {
+  try {
+    const result = await paymentService.confirm(req.payment);
+    if (result.success) {
+      return res.json(result);
+    }
+    res.status(result.conflict ? 409 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The buyer reports a card that doesn't work - the money stays held until support resolves it
+router.post('/payments/:paymentId/dispute', validate(marketplaceSchemas.disputePayment), loadPayment, requireBuyer, async (req, res) => {
+  try {
+    const result = await paymentService.dispute(req.payment, req.body.reason);
+    if (result.success) {
+      return res.json(result);
     }
+    res.status(result.conflict ? 409 : 500).json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { merchantService } = require('../services/merchantService');
+const { validate } = require('../middleware/validate');
+const merchantSchemas = require('../schemas/merchants');
+
+// Search the catalog by name/alias (Hebrew or English), optionally within a category
+router.get('/', validate(merchantSchemas.search), (req, res) => {
+  const { q, category, limit } = req.query;
+  const merchants = merchantService.search({
+    query: q,
+    category,
+    limit: limit ? Number(limit) : undefined,
+  });
+  res.json({ success: true, merchants });
+});
+
+// Suggestions while typing a store name
+router.get('/autocomplete', validate(merchantSchemas.autocomplete), (req, res) => {
+  const { q, limit } = req.query;
+  const suggestions = merchantService.autocomplete(q, limit ? Number(limit) : undefined);
+  res.json({ success: true, suggestions });
+});
+
+router.get('/categories', (req, res) => {
+  res.json({ success: true, categories: merchantService.getCategories() });
+});
+
+router.get('/:merchantId', validate(merchantSchemas.merchantParams), (req, res) => {
+  const merchant = merchantService.getMerchant(req.params.merchantId);
+  if (!merchant) {
+    return res.status(404).json({ success: false, error: 'Merchant not found' });
+  }
+  res.json({ success: true, merchant });
+});
+
+module.exports = router;
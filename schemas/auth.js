@@ -0,0 +1,181 @@
+const {
+  required, id, email, password, newPassword, name, currency, country, phoneNumber, numericCode, token, url, imageType, deviceName, reauth,
+  pageQuery,
+} = require('./common');
+
+// Optional phone number for a sign-up
+const optionalPhone = { ...phoneNumber, nullable: true };
+
+const authSchemas = {
+  register: {
+    body: {
+      email: required(email),
+      password: required(newPassword),
+      name,
+      phone: optionalPhone,
+      country,
+      deviceName,
+    },
+  },
+
+  registerWithGoogle: {
+    body: {
+      idToken: required(token),
+      name,
+      profileImage: url,
+      deviceName,
+    },
+  },
+
+  login: {
+    body: {
+      email: required(email),
+      password: required(password),
+      deviceName,
+    },
+  },
+
+  loginTwoFactor: {
+    body: {
+      challengeToken: required(token),
+      code: numericCode,
+      recoveryCode: { type: 'string', maxLength: 32 },
+      deviceName,
+    },
+  },
+
+  refresh: {
+    body: {
+      refreshToken: required(token),
+      deviceName,
+    },
+  },
+
+  sessionParams: {
+    params: { sessionId: required(id) },
+  },
+
+  searchUsers: {
+    query: pageQuery,
+    body: { query: required({ type: 'string', minLength: 1, maxLength: 100 }) },
+  },
+
+  userParams: {
+    params: { userId: required(id) },
+  },
+
+  // Only profile fields - sign-in methods, password and 2FA have their own endpoints
+  updateProfile: {
+    params: { userId: required(id) },
+    body: {
+      name,
+      profileImage: { ...url, nullable: true },
+      preferredCurrency: currency,
+      creditCard: { type: 'object', nullable: true },
+      bankAccount: { type: 'object', nullable: true },
+    },
+  },
+
+  changePassword: {
+    params: { userId: required(id) },
+    body: {
+      currentPassword: required(password),
+      newPassword: required(newPassword),
+    },
+  },
+
+  sendOtp: {
+    body: {
+      phoneNumber: required(phoneNumber),
+      country,
+    },
+  },
+
+  verifyOtp: {
+    body: {
+      phoneNumber: required(phoneNumber),
+      country,
+      code: required(numericCode),
+      deviceName,
+    },
+  },
+
+  registerWithPhone: {
+    body: {
+      phoneNumber: required(phoneNumber),
+      country,
+      code: required(numericCode),
+      name,
+      deviceName,
+    },
+  },
+
+  linkGoogle: {
+    body: {
+      idToken: required(token),
+      reauth,
+    },
+  },
+
+  linkPhone: {
+    body: {
+      phoneNumber: required(phoneNumber),
+      country,
+      code: required(numericCode),
+      reauth,
+    },
+  },
+
+  linkEmail: {
+    body: {
+      email: required(email),
+      password: required(newPassword),
+      reauth,
+    },
+  },
+
+  unlink: {
+    params: { method: required({ type: 'enum', values: ['email', 'google', 'phone'] }) },
+    body: { reauth },
+  },
+
+  twoFactorCode: {
+    body: { code: required(numericCode) },
+  },
+
+  disableTwoFactor: {
+    body: {
+      password: required(password),
+      code: numericCode,
+      recoveryCode: { type: 'string', maxLength: 32 },
+    },
+  },
+
+  verifyEmail: {
+    body: {
+      userId: required(id),
+      token: required(token),
+    },
+  },
+
+  forgotPassword: {
+    body: { emailOrPhone: required({ type: 'string', maxLength: 254 }) },
+  },
+
+  resetPassword: {
+    body: {
+      emailOrPhone: required({ type: 'string', maxLength: 254 }),
+      resetCode: required(numericCode),
+      newPassword: required(newPassword),
+    },
+  },
+
+  profileImageUrl: {
+    body: {
+      userId: required(id),
+      imageType,
+    },
+  },
+};
+
+module.exports = authSchemas;
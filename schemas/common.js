@@ -0,0 +1,91 @@
+// Field rules shared by the request schemas (see middleware/validate.js for the rule format)
+
+const { parsePhone } = require('../services/phoneUtils');
+const { decodeCursor, PAGE_CONFIG } = require('../services/queryUtils');
+const { merchantService } = require('../services/merchantService');
+const { SUPPORTED_CURRENCIES } = require('../services/currencyService');
+
+const required = rule => ({ ...rule, required: true });
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+
+const money = { type: 'number', positive: true, decimals: 2, max: 1000000 };
+
+const email = { type: 'email', maxLength: 254 };
+
+// New passwords - existing ones are only checked for presence so old accounts can still sign in
+const newPassword = { type: 'string', minLength: 6, maxLength: 128 };
+const password = { type: 'string', minLength: 1, maxLength: 128 };
+
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+
+// A merchant from the catalog (data/merchants.json)
+const merchantId = {
+  type: 'string',
+  maxLength: 64,
+  check: value => merchantService.getMerchant(value) !== null || 'is not a known merchant',
+};
+
+// A currency from the exchange-rate table (ISO 4217 code)
+const currency = { type: 'enum', values: SUPPORTED_CURRENCIES };
+
+const country = { type: 'string', pattern: /^[A-Za-z]{2}$/, patternMessage: 'must be a 2-letter country code' };
+
+// Validated together with the optional `country` field of the same body
+const phoneNumber = {
+  type: 'string',
+  maxLength: 32,
+  check: (value, data) => parsePhone(value, data.country).valid || 'must be a valid phone number',
+};
+
+// Numeric codes (SMS OTP, TOTP, reset codes) - strings only, so leading zeros aren't lost, and compared as sent
+const numericCode = { type: 'string', pattern: /^\d{4,10}$/, patternMessage: 'must be a numeric code of 4-10 digits' };
+
+const token = { type: 'string', minLength: 1, maxLength: 4096 };
+
+const url = { type: 'string', maxLength: 2048, pattern: /^https?:\/\//, patternMessage: 'must be an http(s) URL' };
+
+const imageType = { type: 'enum', values: ['jpg', 'jpeg', 'png', 'webp', 'heic', 'gif'] };
+
+const deviceName = { type: 'string', maxLength: 100 };
+
+// ?limit=&cursor= of list endpoints - the cursor is the nextCursor of the previous page
+const pageQuery = {
+  limit: { type: 'integer', min: 1, max: PAGE_CONFIG.maxLimit },
+  cursor: {
+    type: 'string',
+    maxLength: 2048,
+    check: value => decodeCursor(value) !== null || 'is not a valid cursor',
+  },
+};
+
+// Re-authentication proof for sensitive account changes
+const reauth = {
+  type: 'object',
+  fields: {
+    password,
+    idToken: token,
+    phoneCode: numericCode,
+  },
+};
+
+module.exports = {
+  required,
+  id,
+  money,
+  email,
+  password,
+  newPassword,
+  name,
+  merchantId,
+  currency,
+  country,
+  phoneNumber,
+  numericCode,
+  token,
+  url,
+  imageType,
+  deviceName,
+  pageQuery,
+  reauth,
+};
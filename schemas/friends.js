@@ -0,0 +1,32 @@
+const { required, id, pageQuery } = require('./common');
+
+const friendPair = {
+  userId: required(id),
+  friendId: required(id),
+};
+
+const friendSchemas = {
+  userList: {
+    params: { userId: required(id) },
+    query: pageQuery,
+  },
+
+  friendRequest: {
+    body: friendPair,
+  },
+
+  removeFriend: {
+    params: friendPair,
+  },
+
+  shareGiftCard: {
+    body: {
+      fromUserId: required(id),
+      toUserId: required(id),
+      giftCardId: required(id),
+      shareType: { type: 'string', maxLength: 32 },
+    },
+  },
+};
+
+module.exports = friendSchemas;
@@ -0,0 +1,153 @@
+const { required, id, money, name, merchantId, currency, url, imageType, pageQuery } = require('./common');
+const { WALLET_SORT_FIELDS } = require('../services/walletSearchService');
+const { CARD_VIEWS } = require('../services/cardLifecycleService');
+const { OUTPUT_TYPES } = require('../services/barcodeService');
+const { ANALYTICS_CONFIG } = require('../services/walletAnalyticsService');
+const { IMPORT_MAX_ROWS } = require('../services/walletTransferService');
+
+// Card statuses, for filtering - all set by the server: `used` by the ledger, `expired` by the expiry job,
+// `listed` and `sold` by the marketplace
+const CARD_STATUSES = ['active', 'used', 'expired', 'listed', 'sold'];
+
+// Card numbers/PINs are often typed as numbers by clients
+const cardSecret = maxLength => ({
+  type: 'any',
+  nullable: true,
+  check: value => ((typeof value === 'string' && value.length <= maxLength) || (typeof value === 'number' && Number.isInteger(value)))
+    || `must be a string of at most ${maxLength} characters`,
+});
+
+const expiryDate = { type: 'date', nullable: true };
+
+// Fields a client may write on a card - id, userId, status, balance and timestamps are managed by the server.
+// amount is only set on create: after that the balance moves through the ledger (redeem/top-up).
+const editableCardFields = {
+  storeName: name,
+  merchantId: { ...merchantId, nullable: true },
+  expiryDate,
+  imageUrl: { ...url, nullable: true },
+  cardNumber: cardSecret(64),
+  pin: cardSecret(32),
+};
+
+const cardParams = { params: { cardId: required(id) } };
+
+const giftCardSchemas = {
+  cardParams,
+
+  listCards: {
+    params: { userId: required(id) },
+    query: {
+      ...pageQuery,
+      view: { type: 'enum', values: Object.keys(CARD_VIEWS) },
+      merchantId,
+      storeName: { type: 'string', maxLength: 100 },
+      status: { type: 'enum', values: CARD_STATUSES },
+      minAmount: { type: 'number', min: 0 },
+      maxAmount: {
+        type: 'number',
+        min: 0,
+        check: (value, query) => query.minAmount === undefined || value >= Number(query.minAmount)
+          || 'must be at least minAmount',
+      },
+      currency, // Of minAmount/maxAmount - the user's preferred currency by default
+      expiresFrom: { type: 'date' },
+      expiresTo: {
+        type: 'date',
+        check: (value, query) => !query.expiresFrom || value.slice(0, 10) >= query.expiresFrom.slice(0, 10)
+          || 'must not be before expiresFrom',
+      },
+      sort: { type: 'enum', values: WALLET_SORT_FIELDS },
+      order: { type: 'enum', values: ['asc', 'desc'] },
+    },
+  },
+
+  walletTotals: {
+    params: { userId: required(id) },
+    query: { currency },
+  },
+
+  walletSummary: {
+    params: { userId: required(id) },
+    query: {
+      currency,
+      months: { type: 'integer', min: 1, max: ANALYTICS_CONFIG.maxMonths },
+    },
+  },
+
+  createCard: {
+    body: {
+      ...editableCardFields,
+      id: required(id), // Generated by the client so the image can be uploaded before the card is saved
+      userId: required(id),
+      storeName: required(name),
+      amount: required(money),
+      currency, // Set once - amount, balance and the ledger are all in it
+    },
+  },
+
+  updateCard: {
+    ...cardParams,
+    body: editableCardFields,
+  },
+
+  barcode: {
+    ...cardParams,
+    query: {
+      type: { type: 'enum', values: Object.keys(OUTPUT_TYPES) },
+    },
+  },
+
+  deleteCard: {
+    ...cardParams,
+    query: {
+      permanent: { type: 'boolean' },
+    },
+  },
+
+  balanceChange: {
+    ...cardParams,
+    body: {
+      amount: required(money),
+      note: { type: 'string', maxLength: 200, nullable: true },
+    },
+  },
+
+  // Rows are checked one by one by the import so every bad row is reported with its number
+  importWallet: {
+    query: {},
+    body: {
+      format: {
+        ...required({ type: 'enum', values: ['csv', 'json'] }),
+        check: (value, body) => body[value === 'csv' ? 'csv' : 'cards'] !== undefined
+          || `needs ${value === 'csv' ? 'csv' : 'cards'}`,
+      },
+      cards: {
+        type: 'array',
+        maxItems: IMPORT_MAX_ROWS,
+        check: (value, body) => body.format === 'json' || 'is only allowed with format json',
+      },
+      csv: {
+        type: 'string',
+        minLength: 1,
+        check: (value, body) => body.format === 'csv' || 'is only allowed with format csv',
+      },
+    },
+  },
+
+  exportWallet: {
+    query: {
+      format: { type: 'enum', values: ['csv', 'json'] },
+      includeSecrets: { type: 'boolean' },
+    },
+  },
+
+  presignedUrl: {
+    body: {
+      cardId: required(id),
+      imageType,
+    },
+  },
+};
+
+module.exports = giftCardSchemas;
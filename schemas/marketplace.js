@@ -0,0 +1,49 @@
+const { required, id, money, name, merchantId, currency, url, pageQuery } = require('./common');
+
+const marketplaceSchemas = {
+  listings: {
+    query: {
+      merchantId,
+      storeName: { type: 'string', maxLength: 100 },
+      minPrice: { type: 'number', min: 0 },
+      maxPrice: { type: 'number', min: 0 },
+      currency, // Of minPrice/maxPrice and displayPrice - the user's preferred currency by default
+      ...pageQuery,
+    },
+  },
+
+  listCard: {
+    body: {
+      id,
+      giftCardId: required(id),
+      sellerId: required(id),
+      sellerName: name,
+      price: required(money), // In the card's currency - store, amount and expiry come from the card
+      imageUrl: { ...url, nullable: true },
+    },
+  },
+
+  purchase: {
+    body: {
+      listingId: required(id),
+      buyerId: required(id),
+      paymentMethodId: required(id), // Charged into escrow - with PAYMENT_PROVIDER=mock any id, "pm_mock_decline..." is declined
+    },
+  },
+
+  payment: {
+    params: { paymentId: required(id) },
+  },
+
+  disputePayment: {
+    params: { paymentId: required(id) },
+    body: { reason: { type: 'string', maxLength: 500 } },
+  },
+
+  unlist: {
+    params: { listingId: required(id) },
+    body: { sellerId: required(id) },
+  },
+};
+
+module.exports = marketplaceSchemas;
@@ -0,0 +1,27 @@
+const { required, id } = require('./common');
+const { MERCHANT_CATEGORIES } = require('../services/merchantService');
+
+const searchText = { type: 'string', maxLength: 100 };
+
+const merchantSchemas = {
+  search: {
+    query: {
+      q: searchText,
+      category: { type: 'enum', values: MERCHANT_CATEGORIES },
+      limit: { type: 'integer', min: 1, max: 50 },
+    },
+  },
+
+  autocomplete: {
+    query: {
+      q: required(searchText),
+      limit: { type: 'integer', min: 1, max: 20 },
+    },
+  },
+
+  merchantParams: {
+    params: { merchantId: required(id) },
+  },
+};
+
+module.exports = merchantSchemas;
@@ -0,0 +1,87 @@
+// Set merchantId on gift cards and marketplace listings that were saved before the merchant catalog.
+// Store names the catalog doesn't know are reported and left as they are.
+//
+// Usage:
+//   node scripts/backfill-merchant-ids.js --dry-run   # report only
+//   node scripts/backfill-merchant-ids.js             # apply
+
+require('dotenv').config();
+const { dynamodb, TABLES } = require('../services/aws');
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { merchantService } = require('../services/merchantService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const scanWithoutMerchant = async (tableName) => {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: tableName,
+      FilterExpression: 'attribute_not_exists(merchantId) OR merchantId = :null',
+      ExpressionAttributeValues: { ':null': null },
+      ExclusiveStartKey: lastKey,
+    }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+};
+
+const backfillTable = async (tableName) => {
+  const items = await scanWithoutMerchant(tableName);
+  console.log(`🔍 ${tableName}: ${items.length} items without a merchant`);
+
+  let resolved = 0;
+  let skipped = 0;
+  const unknownStores = new Map();
+
+  for (const item of items) {
+    const merchantId = merchantService.resolveMerchantId({ storeName: item.storeName });
+    if (!merchantId) {
+      unknownStores.set(item.storeName, (unknownStores.get(item.storeName) || 0) + 1);
+      continue;
+    }
+    if (DRY_RUN) {
+      resolved++;
+      continue;
+    }
+
+    try {
+      await dynamodb.send(new UpdateCommand({
+        TableName: tableName,
+        Key: { id: item.id },
+        UpdateExpression: 'SET merchantId = :merchantId',
+        // Skip items whose store was renamed since the scan - the next run picks them up
+        ConditionExpression: 'storeName = :storeName',
+        ExpressionAttributeValues: { ':merchantId': merchantId, ':storeName': item.storeName },
+      }));
+      resolved++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      console.warn(`⚠️ ${item.id} changed during the migration, skipped`);
+      skipped++;
+    }
+  }
+
+  if (unknownStores.size > 0) {
+    console.warn(`⚠️ ${tableName}: store names not in the catalog:`, Object.fromEntries(unknownStores));
+  }
+  return { resolved, skipped, unknown: items.length - resolved - skipped };
+};
+
+const migrate = async () => {
+  console.log(`🏪 Merchant backfill${DRY_RUN ? ' (dry run)' : ''}`);
+  const giftCards = await backfillTable(TABLES.GIFT_CARDS);
+  const listings = await backfillTable(TABLES.MARKETPLACE);
+  console.log('✅ Migration finished:', { giftCards, listings, dryRun: DRY_RUN });
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
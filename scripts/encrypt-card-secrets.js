@@ -0,0 +1,80 @@
+// Encrypt the card number/PIN of gift cards that were saved before encryption at rest.
+//
+// Usage:
+//   node scripts/encrypt-card-secrets.js --dry-run   # report only
+//   node scripts/encrypt-card-secrets.js             # apply
+
+require('dotenv').config();
+const { dynamodb, TABLES } = require('../services/aws');
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { cardSecrets } = require('../services/cardSecrets');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const scanPlaintextCards = async () => {
+  const cards = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLES.GIFT_CARDS,
+      FilterExpression: '(attribute_exists(cardNumber) AND cardNumber <> :null) OR (attribute_exists(pin) AND pin <> :null)',
+      ExpressionAttributeValues: { ':null': null },
+      ExclusiveStartKey: lastKey,
+    }));
+    cards.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return cards;
+};
+
+const migrate = async () => {
+  console.log(`🔐 Card secrets encryption${DRY_RUN ? ' (dry run)' : ''}`);
+  const cards = await scanPlaintextCards();
+  console.log(`🔍 Found ${cards.length} cards with a plaintext number or PIN`);
+
+  let encrypted = 0;
+  let skipped = 0;
+
+  for (const card of cards) {
+    if (DRY_RUN) {
+      encrypted++;
+      continue;
+    }
+
+    const fields = await cardSecrets.toStoredFields({ cardNumber: card.cardNumber, pin: card.pin });
+    try {
+      await dynamodb.send(new UpdateCommand({
+        TableName: TABLES.GIFT_CARDS,
+        Key: { id: card.id },
+        UpdateExpression: 'SET cardNumber = :null, pin = :null, cardSecrets = :cardSecrets, cardNumberLast4 = :last4, hasPin = :hasPin',
+        // Skip cards that were changed since the scan - the next run picks them up
+        ConditionExpression: card.updatedAt === undefined
+          ? 'attribute_not_exists(cardSecrets) AND attribute_not_exists(updatedAt)'
+          : 'attribute_not_exists(cardSecrets) AND updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':null': null,
+          ':cardSecrets': fields.cardSecrets,
+          ':last4': fields.cardNumberLast4,
+          ':hasPin': fields.hasPin,
+          ...(card.updatedAt === undefined ? {} : { ':updatedAt': card.updatedAt }),
+        },
+      }));
+      encrypted++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      console.warn(`⚠️ Card ${card.id} changed during the migration, skipped`);
+      skipped++;
+    }
+  }
+
+  console.log('✅ Migration finished:', { encrypted, skipped, dryRun: DRY_RUN });
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
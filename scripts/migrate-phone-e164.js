@@ -0,0 +1,103 @@
+// Rewrite every stored user phone number to canonical E.164.
+//
+// Usage:
+//   node scripts/migrate-phone-e164.js --dry-run   # report only
+//   node scripts/migrate-phone-e164.js             # apply
+//
+// Numbers that can't be parsed, or that would collide with another user's number
+// after normalization, are reported and left untouched for manual review.
+
+require('dotenv').config();
+const { dynamodb, TABLES } = require('../services/aws');
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { normalizePhone } = require('../services/phoneUtils');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const scanUsersWithPhone = async () => {
+  const users = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLES.USERS,
+      FilterExpression: 'attribute_exists(phone) AND phone <> :null',
+      ProjectionExpression: 'id, phone',
+      ExpressionAttributeValues: { ':null': null },
+      ExclusiveStartKey: lastKey,
+    }));
+    users.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return users;
+};
+
+const migrate = async () => {
+  console.log(`📞 Phone E.164 migration${DRY_RUN ? ' (dry run)' : ''}`);
+  const users = await scanUsersWithPhone();
+  console.log(`🔍 Found ${users.length} users with a phone number`);
+
+  // Group by normalized number first so collisions are detected before anything is written
+  const byNumber = new Map();
+  const invalid = [];
+  users.forEach((user) => {
+    const e164 = normalizePhone(user.phone);
+    if (!e164) {
+      invalid.push(user);
+      return;
+    }
+    byNumber.set(e164, [...(byNumber.get(e164) || []), user]);
+  });
+
+  let updated = 0;
+  let unchanged = 0;
+  const conflicts = [];
+
+  for (const [e164, owners] of byNumber.entries()) {
+    if (owners.length > 1) {
+      conflicts.push({ e164, userIds: owners.map(u => u.id) });
+      continue;
+    }
+
+    const [user] = owners;
+    if (user.phone === e164) {
+      unchanged++;
+      continue;
+    }
+
+    console.log(`✏️ ${user.id}: ${user.phone} -> ${e164}`);
+    if (!DRY_RUN) {
+      await dynamodb.send(new UpdateCommand({
+        TableName: TABLES.USERS,
+        Key: { id: user.id },
+        UpdateExpression: 'SET phone = :phone, updatedAt = :updatedAt',
+        ConditionExpression: 'phone = :oldPhone',
+        ExpressionAttributeValues: {
+          ':phone': e164,
+          ':oldPhone': user.phone,
+          ':updatedAt': new Date().toISOString(),
+        },
+      }));
+    }
+    updated++;
+  }
+
+  invalid.forEach(user => console.warn(`⚠️ Invalid phone for ${user.id}: ${user.phone}`));
+  conflicts.forEach(c => console.warn(`⚠️ ${c.e164} is shared by users: ${c.userIds.join(', ')}`));
+
+  console.log('✅ Migration finished:', {
+    updated,
+    unchanged,
+    invalid: invalid.length,
+    conflicts: conflicts.length,
+    dryRun: DRY_RUN,
+  });
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
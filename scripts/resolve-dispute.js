@@ -0,0 +1,38 @@
+// Resolve a disputed marketplace payment: pay the seller, or refund the buyer.
+//
+// Usage:
+//   node scripts/resolve-dispute.js <paymentId> release|refund ["note"]
+
+require('dotenv').config();
+const { paymentService } = require('../services/paymentService');
+
+const OUTCOMES = ['release', 'refund'];
+
+const main = async () => {
+  const [paymentId, outcome, note] = process.argv.slice(2);
+  if (!paymentId || !OUTCOMES.includes(outcome)) {
+    console.error('Usage: node scripts/resolve-dispute.js <paymentId> release|refund ["note"]');
+    return false;
+  }
+
+  const found = await paymentService.getPayment(paymentId);
+  if (!found.success || !found.payment) {
+    console.error(`❌ Payment ${paymentId} not found`, found.error || '');
+    return false;
+  }
+
+  const result = await paymentService.resolveDispute(found.payment, outcome, note || null);
+  if (!result.success) {
+    console.error(`❌ Could not resolve ${paymentId}:`, result.error);
+    return false;
+  }
+  console.log(`✅ Dispute resolved - payment ${result.payment.status}:`, { paymentId, outcome });
+  return true;
+};
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('❌ Resolve dispute failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+const { dynamodb, TABLES, INDEXES } = require('./aws');
+const { executeCloudOperation } = require('./cloudUtils');
+const { queryAll } = require('./queryUtils');
+const { v4: uuidv4 } = require('uuid');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Audit trail for access to sensitive data
+const auditService = {
+  /**
+   * Record that a user revealed a card's number/PIN
+   * @param {{giftCardId: string, ownerId: string, revealedBy: string, source?: 'reveal'|'export'|'barcode', ipAddress?: string, userAgent?: string}} entry
+   */
+  async recordCardReveal({ giftCardId, ownerId, revealedBy, source = 'reveal', ipAddress, userAgent }) {
+    return executeCloudOperation(
+      async () => {
+        const item = {
+          id: uuidv4(),
+          giftCardId,
+          ownerId,
+          revealedBy,
+          source,
+          ipAddress: ipAddress || null,
+          userAgent: userAgent || null,
+          revealedAt: new Date().toISOString(),
+        };
+        await dynamodb.send(new PutCommand({ TableName: TABLES.CARD_REVEALS, Item: item }));
+        return { reveal: item };
+      },
+      'record card reveal'
+    );
+  },
+
+  async getCardReveals(giftCardId) {
+    return executeCloudOperation(
+      async () => {
+        // Newest first
+        const reveals = await queryAll(dynamodb, {
+          TableName: TABLES.CARD_REVEALS,
+          IndexName: INDEXES.CARD_REVEALS_BY_CARD,
+          KeyConditionExpression: 'giftCardId = :giftCardId',
+          ExpressionAttributeValues: { ':giftCardId': giftCardId },
+          ScanIndexForward: false,
+        });
+        return { reveals };
+      },
+      'get card reveals'
+    );
+  },
+};
+
+module.exports = { auditService };
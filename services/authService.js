@@ -1,7 +1,15 @@
-const { userService, dynamodb } = require('./aws');
+const { userService, dynamodb, TABLES, INDEXES } = require('./aws');
+const sessionService = require('./sessionService');
+const { codeStore } = require('./codeStore');
+const { googleTokenVerifier } = require('./googleTokenVerifier');
+const smsService = require('./smsService');
+const { parsePhone, normalizePhone } = require('./phoneUtils');
+const totpService = require('./totpService');
+const tokenService = require('./tokenService');
+const { mailService } = require('./mailService');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
-const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { queryFirst, scanPage } = require('./queryUtils');
 
 // Bcrypt salt rounds - higher is more secure but slower (10-12 is recommended)
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
@@ -41,14 +49,87 @@ const verifyPassword = async (password, hash) => {
   }
 };
 
+// Password reset codes live in the shared code store (hashed, attempt-limited, single use)
+const RESET_CODE_PURPOSE = 'password-reset';
+const RESET_CODE_OPTIONS = {
+  ttlSeconds: 15 * 60, // 15 minutes
+  maxAttempts: 5,
+};
+
+// Sign-in methods a user can link/unlink
+const AUTH_METHODS = ['email', 'google', 'phone'];
+
+/**
+ * Derive the sign-in methods a user can actually use from the credentials on the record
+ */
+const deriveAuthMethods = (user) => {
+  const methods = [];
+  if (user.passwordHash) methods.push('email');
+  if (user.googleId) methods.push('google');
+  if (user.phone) methods.push('phone');
+  return methods;
+};
+
+// Email verification links carry a long one-time token from the code store
+const EMAIL_VERIFY_PURPOSE = 'email-verify';
+const EMAIL_VERIFY_OPTIONS = {
+  ttlSeconds: 24 * 60 * 60, // 24 hours
+  maxAttempts: 5,
+  length: 32,
+};
+const APP_BASE_URL = process.env.APP_BASE_URL || 'https://ziko.app';
+
 const generateUserId = () => {
   return uuidv4();
 };
 
+// Fields that must never leave the server
+const PRIVATE_USER_FIELDS = [
+  'passwordHash',
+  'totpSecret',
+  'totpPendingSecret',
+  'totpLastUsedStep',
+  'recoveryCodeHashes',
+];
+
+// Fields a user can change through updateUserProfile - sign-in methods (phone included), password and 2FA have their own flows
+const PROFILE_FIELDS = ['name', 'profileImage', 'preferredCurrency', 'creditCard', 'bankAccount'];
+
+/**
+ * Strip secrets from a user record before returning it to a client
+ */
+const sanitizeUser = (user) => {
+  if (!user) return user;
+  const publicUser = { ...user };
+  PRIVATE_USER_FIELDS.forEach((field) => delete publicUser[field]);
+  return publicUser;
+};
+
+// What other users may see of a user (search results) - contact details and payment info stay private
+const PUBLIC_PROFILE_FIELDS = ['id', 'name', 'profileImage'];
+
+const toPublicProfile = (user) => Object.fromEntries(
+  PUBLIC_PROFILE_FIELDS.filter(field => field in user).map(field => [field, user[field]])
+);
+
 const authService = {
   async registerWithEmail(userData) {
     try {
-      const { email, password, name, phone } = userData;
+      const { email, password, name } = userData;
+      
+      let phone = null;
+      if (userData.phone) {
+        const parsedPhone = parsePhone(userData.phone, userData.country);
+        if (!parsedPhone.valid) {
+          return { success: false, error: parsedPhone.error };
+        }
+        phone = parsedPhone.e164;
+
+        const existingPhoneUser = await this.getUserByPhone(phone);
+        if (existingPhoneUser.success && existingPhoneUser.user) {
+          return { success: false, error: 'User already exists with this phone number' };
+        }
+      }
       
       const existingUser = await this.getUserByEmail(email);
       if (existingUser.success && existingUser.user) {
@@ -68,7 +149,7 @@ const authService = {
         googleId: null,
         creditCard: null,
         bankAccount: null,
-        authMethods: ['email'],
+        authMethods: phone ? ['email', 'phone'] : ['email'],
         isVerified: false,
         lastLoginAt: new Date().toISOString(),
         createdAt: new Date().toISOString(),
@@ -78,8 +159,9 @@ const authService = {
       const result = await userService.createUser(newUser);
       
       if (result.success) {
-        const { passwordHash: _, ...userWithoutPassword } = newUser;
-        return { success: true, user: userWithoutPassword };
+        // A failed email doesn't fail the registration - the user can ask for a new link
+        await this.sendVerificationEmail(newUser);
+        return { success: true, user: sanitizeUser(newUser) };
       } else {
         return { success: false, error: result.error };
       }
@@ -89,23 +171,99 @@ const authService = {
     }
   },
 
+  /**
+   * Sign up with just a phone number - the OTP sent to it is the proof of ownership
+   * @param {string} phoneNumber - Normalized phone number that received the OTP
+   * @param {string} code - OTP from /register-with-phone/send-otp
+   */
+  async registerWithPhone(phoneNumber, code, name) {
+    try {
+      const existingUser = await this.getUserByPhone(phoneNumber);
+      if (!existingUser.success) {
+        return { success: false, error: existingUser.error };
+      }
+      if (existingUser.user) {
+        return {
+          success: false,
+          error: 'User already exists with this phone number. Please sign in instead.',
+          alreadyRegistered: true,
+        };
+      }
+
+      // Codes are single use, so two racing registrations for the same number can't both get past here
+      if (!(await smsService.verifyOTP(phoneNumber, code))) {
+        return { success: false, error: 'Invalid or expired OTP code', invalidCode: true };
+      }
+
+      const newUser = {
+        id: generateUserId(),
+        email: null,
+        phone: phoneNumber,
+        name: typeof name === 'string' && name.trim() ? name.trim() : 'User',
+        profileImage: null,
+        passwordHash: null,
+        googleId: null,
+        creditCard: null,
+        bankAccount: null,
+        authMethods: ['phone'],
+        isVerified: true, // The phone number was just verified by OTP
+        lastLoginAt: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = await userService.createUser(newUser);
+      if (!result.success) {
+        return { success: false, error: result.error || 'Failed to create user' };
+      }
+
+      return { success: true, user: sanitizeUser(newUser) };
+    } catch (error) {
+      console.error('Phone registration error:', error);
+      return { success: false, error: 'Registration failed' };
+    }
+  },
+
+  // Replaceable so tests can verify against a local fake JWKS
+  googleTokenVerifier,
+
+  /**
+   * Sign in (or sign up) with a Google ID token.
+   * Email and googleId are only ever taken from the verified token, never from the request body.
+   */
   async registerWithGoogle(userData) {
     try {
-      const { email, googleId, name, profileImage } = userData;
-      
-      // Check if user already exists with this email or Google ID
-      const existingUserByEmail = await this.getUserByEmail(email);
-      if (existingUserByEmail.success && existingUserByEmail.user) {
-        // User exists - return existing user
-        const { passwordHash: _, ...userWithoutPassword } = existingUserByEmail.user;
-        return { success: true, user: userWithoutPassword };
+      const { idToken } = userData;
+      if (!idToken) {
+        return { success: false, error: 'Google ID token required' };
       }
+
+      const verification = await this.googleTokenVerifier.verify(idToken);
+      if (!verification.success) {
+        return { success: false, error: verification.error };
+      }
+
+      const { email, googleId } = verification.profile;
+      const name = userData.name || verification.profile.name;
+      const profileImage = userData.profileImage || verification.profile.picture;
       
+      // Google already linked to an account - sign in
       const existingUserByGoogleId = await this.getUserByGoogleId(googleId);
       if (existingUserByGoogleId.success && existingUserByGoogleId.user) {
-        // User exists - return existing user
-        const { passwordHash: _, ...userWithoutPassword } = existingUserByGoogleId.user;
-        return { success: true, user: userWithoutPassword };
+        await userService.updateUser(existingUserByGoogleId.user.id, {
+          lastLoginAt: new Date().toISOString()
+        });
+        return { success: true, user: sanitizeUser(existingUserByGoogleId.user) };
+      }
+      
+      // Same email, but Google was never linked - the owner has to link it explicitly
+      const existingUserByEmail = await this.getUserByEmail(email);
+      if (existingUserByEmail.success && existingUserByEmail.user) {
+        return {
+          success: false,
+          error: 'An account with this email already exists. Sign in and link Google from your profile.',
+          needsLinking: true,
+        };
       }
       
       // Create new user
@@ -132,8 +290,7 @@ const authService = {
       console.log('📝 Create user result:', result);
       
       if (result.success) {
-        const { passwordHash: _, ...userWithoutPassword } = newUser;
-        return { success: true, user: userWithoutPassword };
+        return { success: true, user: sanitizeUser(newUser) };
       } else {
         console.error('❌ Failed to create user:', result.error);
         return { success: false, error: result.error || 'Failed to create user' };
@@ -164,122 +321,331 @@ const authService = {
         return { success: false, error: 'Invalid email or password' };
       }
       
+      // Password is right, but the session is only issued after the 2FA step
+      if (user.totpEnabled) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: tokenService.issueChallengeToken(user.id),
+        };
+      }
+      
       await userService.updateUser(user.id, { 
         lastLoginAt: new Date().toISOString() 
       });
       
-      const { passwordHash: _, ...userWithoutPassword } = user;
-      return { success: true, user: userWithoutPassword };
+      return { success: true, user: sanitizeUser(user) };
     } catch (error) {
       console.error('Login error:', error);
       return { success: false, error: 'Login failed' };
     }
   },
 
+  /**
+   * Check a TOTP code or a one-time recovery code and persist what it consumed
+   * (the TOTP step, so the same code can't be replayed, or the used recovery code)
+   */
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (!user.totpEnabled || !user.totpSecret) {
+      return { success: false, error: 'Two-factor authentication is not enabled' };
+    }
+
+    let updates = null;
+    if (code) {
+      const result = totpService.verifyCode(user.totpSecret, code, user.totpLastUsedStep ?? -1);
+      if (result.valid) {
+        updates = { totpLastUsedStep: result.step };
+      }
+    } else if (recoveryCode) {
+      const remaining = totpService.consumeRecoveryCode(user.recoveryCodeHashes, recoveryCode);
+      if (remaining) {
+        updates = { recoveryCodeHashes: remaining };
+      }
+    }
+
+    if (!updates) {
+      return { success: false, error: 'Invalid two-factor code', reauthFailed: true };
+    }
+
+    const saveResult = await userService.updateUser(user.id, updates);
+    if (!saveResult.success) {
+      return { success: false, error: saveResult.error || 'Failed to verify two-factor code' };
+    }
+    return { success: true };
+  },
+
+  /**
+   * Second step of an email/password login with 2FA on
+   * @param {string} challengeToken - From the first loginWithEmail step
+   * @param {{code?: string, recoveryCode?: string}} secondFactor
+   */
+  async completeTwoFactorLogin(challengeToken, secondFactor) {
+    try {
+      const challenge = tokenService.verifyChallengeToken(challengeToken);
+      if (!challenge.success) {
+        return { success: false, error: challenge.error };
+      }
+
+      const userResult = await userService.getUserById(challenge.userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = userResult.user;
+      const verification = await this.verifySecondFactor(user, secondFactor);
+      if (!verification.success) {
+        return verification;
+      }
+
+      await userService.updateUser(user.id, {
+        lastLoginAt: new Date().toISOString()
+      });
+
+      return { success: true, user: sanitizeUser(user) };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, error: 'Login failed' };
+    }
+  },
+
+  /**
+   * Start 2FA enrollment - the secret stays pending until confirmTwoFactor
+   */
+  async enrollTwoFactor(userId) {
+    try {
+      const userResult = await userService.getUserById(userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = userResult.user;
+      if (!user.passwordHash) {
+        return { success: false, error: 'Two-factor authentication requires an email/password account' };
+      }
+      if (user.totpEnabled) {
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+      }
+
+      const secret = totpService.generateSecret();
+      const updateResult = await userService.updateUser(userId, { totpPendingSecret: secret });
+      if (!updateResult.success) {
+        return { success: false, error: updateResult.error || 'Failed to start enrollment' };
+      }
+
+      return {
+        success: true,
+        secret,
+        otpauthUri: totpService.buildOtpAuthUri(secret, user.email || user.id),
+      };
+    } catch (error) {
+      console.error('Enroll 2FA error:', error);
+      return { success: false, error: 'Failed to start two-factor enrollment' };
+    }
+  },
+
+  async confirmTwoFactor(userId, code) {
+    try {
+      const userResult = await userService.getUserById(userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = userResult.user;
+      if (!user.totpPendingSecret) {
+        return { success: false, error: 'No two-factor enrollment in progress' };
+      }
+
+      const result = totpService.verifyCode(user.totpPendingSecret, code);
+      if (!result.valid) {
+        return { success: false, error: 'Invalid two-factor code', reauthFailed: true };
+      }
+
+      const recovery = totpService.generateRecoveryCodes();
+      const updateResult = await userService.updateUser(userId, {
+        totpEnabled: true,
+        totpSecret: user.totpPendingSecret,
+        totpPendingSecret: null,
+        totpLastUsedStep: result.step,
+        recoveryCodeHashes: recovery.hashes,
+        twoFactorEnabledAt: new Date().toISOString(),
+      });
+      if (!updateResult.success) {
+        return { success: false, error: updateResult.error || 'Failed to enable two-factor authentication' };
+      }
+
+      // Recovery codes are shown this one time only
+      return { success: true, recoveryCodes: recovery.codes };
+    } catch (error) {
+      console.error('Confirm 2FA error:', error);
+      return { success: false, error: 'Failed to enable two-factor authentication' };
+    }
+  },
+
+  /**
+   * Turn 2FA off - needs the password and a current TOTP or recovery code
+   */
+  async disableTwoFactor(userId, password, secondFactor) {
+    try {
+      const userResult = await userService.getUserById(userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = userResult.user;
+      if (!user.passwordHash || !(await verifyPassword(password || '', user.passwordHash))) {
+        return { success: false, error: 'Password is incorrect', reauthFailed: true };
+      }
+
+      const verification = await this.verifySecondFactor(user, secondFactor);
+      if (!verification.success) {
+        return verification;
+      }
+
+      const updateResult = await userService.updateUser(userId, {
+        totpEnabled: false,
+        totpSecret: null,
+        totpPendingSecret: null,
+        totpLastUsedStep: null,
+        recoveryCodeHashes: [],
+        twoFactorEnabledAt: null,
+      });
+      if (!updateResult.success) {
+        return { success: false, error: updateResult.error || 'Failed to disable two-factor authentication' };
+      }
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      console.error('Disable 2FA error:', error);
+      return { success: false, error: 'Failed to disable two-factor authentication' };
+    }
+  },
+
+  /**
+   * Replace all recovery codes - needs a current TOTP code
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const userResult = await userService.getUserById(userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const verification = await this.verifySecondFactor(userResult.user, { code });
+      if (!verification.success) {
+        return verification;
+      }
+
+      const recovery = totpService.generateRecoveryCodes();
+      const updateResult = await userService.updateUser(userId, { recoveryCodeHashes: recovery.hashes });
+      if (!updateResult.success) {
+        return { success: false, error: updateResult.error || 'Failed to regenerate recovery codes' };
+      }
+
+      return { success: true, recoveryCodes: recovery.codes };
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      return { success: false, error: 'Failed to regenerate recovery codes' };
+    }
+  },
+
+  async sendVerificationEmail(user) {
+    try {
+      if (!user.email) {
+        return { success: false, error: 'This account has no email address' };
+      }
+
+      const token = await codeStore.issue(EMAIL_VERIFY_PURPOSE, user.id, EMAIL_VERIFY_OPTIONS);
+      const link = `${APP_BASE_URL}/verify-email?${new URLSearchParams({ userId: user.id, token })}`;
+
+      return await mailService.sendTemplate(user.email, 'emailVerification', {
+        name: user.name,
+        link,
+        expiresInHours: EMAIL_VERIFY_OPTIONS.ttlSeconds / 3600,
+      });
+    } catch (error) {
+      console.error('Send verification email error:', error);
+      return { success: false, error: 'Failed to send verification email' };
+    }
+  },
+
+  async resendVerificationEmail(userId) {
+    try {
+      const userResult = await userService.getUserById(userId);
+      if (!userResult.success || !userResult.user) {
+        return { success: false, error: 'User not found' };
+      }
+      if (userResult.user.isVerified) {
+        return { success: false, error: 'Email is already verified' };
+      }
+
+      const result = await this.sendVerificationEmail(userResult.user);
+      return result.success
+        ? { success: true, message: 'Verification email sent' }
+        : result;
+    } catch (error) {
+      console.error('Resend verification email error:', error);
+      return { success: false, error: 'Failed to send verification email' };
+    }
+  },
+
+  async verifyEmail(userId, token) {
+    try {
+      const verification = await codeStore.verify(EMAIL_VERIFY_PURPOSE, userId, token);
+      if (!verification.valid) {
+        return { success: false, error: 'Invalid or expired verification link' };
+      }
+
+      const updateResult = await userService.updateUser(userId, {
+        isVerified: true,
+        emailVerifiedAt: new Date().toISOString(),
+      });
+      if (!updateResult.success) {
+        return { success: false, error: updateResult.error || 'Failed to verify email' };
+      }
+
+      return { success: true, user: sanitizeUser(updateResult.user) };
+    } catch (error) {
+      console.error('Verify email error:', error);
+      return { success: false, error: 'Failed to verify email' };
+    }
+  },
+
   async getUserByEmail(email) {
     try {
-      const params = {
+      const user = await queryFirst(dynamodb, {
         TableName: 'ziko-users',
-        FilterExpression: 'email = :email',
+        IndexName: INDEXES.USERS_BY_EMAIL,
+        KeyConditionExpression: 'email = :email',
         ExpressionAttributeValues: {
           ':email': email.toLowerCase(),
         },
-      };
-      
-      const result = await dynamodb.send(new ScanCommand(params));
-      
-      if (result.Items && result.Items.length > 0) {
-        return { success: true, user: result.Items[0] };
-      } else {
-        return { success: true, user: null };
-      }
+      });
+      return { success: true, user };
     } catch (error) {
       console.error('Get user by email error:', error);
       return { success: false, error: error.message };
     }
   },
 
+  /**
+   * Find a user by phone number - any input format, matched exactly on the stored E.164 value
+   */
   async getUserByPhone(phoneNumber) {
     try {
-      // Helper function to convert +972 format to local format (054...)
-      // Handles both +9720549369402 and +972549369402 formats
-      const normalizeToLocalFormat = (phone) => {
-        if (!phone) return phone;
-        let normalized = phone.trim();
-        
-        // If it starts with +9720, remove +972 (keeps the 0)
-        // Example: +9720549369402 -> 0549369402
-        if (normalized.startsWith('+9720')) {
-          normalized = '0' + normalized.substring(5);
-        }
-        // If it starts with +972 (without 0), add 0
-        // Example: +972549369402 -> 0549369402
-        else if (normalized.startsWith('+972')) {
-          normalized = '0' + normalized.substring(4);
-        }
-        // If it starts with 9720, add 0 at the beginning
-        // Example: 9720549369402 -> 0549369402
-        else if (normalized.startsWith('9720')) {
-          normalized = '0' + normalized.substring(4);
-        }
-        // If it starts with 972 (without 0), add 0
-        // Example: 972549369402 -> 0549369402
-        else if (normalized.startsWith('972')) {
-          normalized = '0' + normalized.substring(3);
-        }
-        // If it already starts with 0, return as is
-        // Example: 0549369402 -> 0549369402
-        else if (!normalized.startsWith('0')) {
-          // If it doesn't start with 0 and is not international format, assume it's missing 0
-          normalized = '0' + normalized;
-        }
-        
-        return normalized;
-      };
-
-      // Search in multiple formats:
-      // 1. The provided format (as-is)
-      // 2. Local format (054...)
-      // 3. International format without leading 0 (+9725...)
-      const localFormat = normalizeToLocalFormat(phoneNumber);
-      
-      // Also try international format without 0 (in case stored that way)
-      let internationalWithoutZero = phoneNumber;
-      if (phoneNumber.startsWith('+9720')) {
-        internationalWithoutZero = '+972' + phoneNumber.substring(5);
-      }
-      
-      const searchFormats = [
-        phoneNumber,           // Original format (e.g., +9720549369402)
-        localFormat,           // Local format (e.g., 0549369402)
-        internationalWithoutZero // Without leading 0 (e.g., +972549369402)
-      ].filter(Boolean);
-      
-      // Remove duplicates
-      const uniqueFormats = [...new Set(searchFormats)];
-      
-      console.log('🔍 Searching for phone number in formats:', uniqueFormats);
-      
-      // Try each format
-      for (const format of uniqueFormats) {
-        const params = {
-          TableName: 'ziko-users',
-          FilterExpression: 'phone = :phone',
-          ExpressionAttributeValues: {
-            ':phone': format,
-          },
-        };
-        
-        const result = await dynamodb.send(new ScanCommand(params));
-        
-        if (result.Items && result.Items.length > 0) {
-          console.log('✅ Found user with phone format:', format);
-          return { success: true, user: result.Items[0] };
-        }
+      const e164 = normalizePhone(phoneNumber);
+      if (!e164) {
+        return { success: true, user: null };
       }
-      
-      console.log('ℹ️ No user found with any phone format');
-      return { success: true, user: null };
+
+      const user = await queryFirst(dynamodb, {
+        TableName: 'ziko-users',
+        IndexName: INDEXES.USERS_BY_PHONE,
+        KeyConditionExpression: 'phone = :phone',
+        ExpressionAttributeValues: {
+          ':phone': e164,
+        },
+      });
+      return { success: true, user };
     } catch (error) {
       console.error('Get user by phone error:', error);
       return { success: false, error: error.message };
@@ -288,33 +654,31 @@ const authService = {
 
   async getUserByGoogleId(googleId) {
     try {
-      const params = {
+      const user = await queryFirst(dynamodb, {
         TableName: 'ziko-users',
-        FilterExpression: 'googleId = :googleId',
+        IndexName: INDEXES.USERS_BY_GOOGLE_ID,
+        KeyConditionExpression: 'googleId = :googleId',
         ExpressionAttributeValues: {
           ':googleId': googleId,
         },
-      };
-      
-      const result = await dynamodb.send(new ScanCommand(params));
-      
-      if (result.Items && result.Items.length > 0) {
-        return { success: true, user: result.Items[0] };
-      } else {
-        return { success: true, user: null };
-      }
+      });
+      return { success: true, user };
     } catch (error) {
       console.error('Get user by Google ID error:', error);
       return { success: false, error: error.message };
     }
   },
 
-  async updateUserProfile(userId, updates) {
+  async updateUserProfile(userId, profileUpdates) {
     try {
+      const updates = Object.fromEntries(
+        Object.entries(profileUpdates).filter(([key]) => PROFILE_FIELDS.includes(key))
+      );
+
       const result = await userService.updateUser(userId, updates);
       
       if (result.success) {
-        return { success: true, user: result.user };
+        return { success: true, user: sanitizeUser(result.user) };
       } else {
         return { success: false, error: result.error };
       }
@@ -324,7 +688,7 @@ const authService = {
     }
   },
 
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
       // Get user
       const userResult = await userService.getUserById(userId);
@@ -352,6 +716,11 @@ const authService = {
       });
 
       if (updateResult.success) {
+        // Sign out every other device - the current one keeps its session
+        await sessionService.revokeAllSessions(userId, {
+          exceptSessionId: currentSessionId,
+          reason: 'password_changed',
+        });
         return { success: true, message: 'Password updated successfully' };
       } else {
         return { success: false, error: updateResult.error || 'Failed to update password' };
@@ -362,14 +731,207 @@ const authService = {
     }
   },
 
-  async getUsers({ query }) {
+  /**
+   * Re-authenticate a signed-in user before a sensitive account change.
+   * Accepts any one of the user's current sign-in methods:
+   * { password } | { idToken } (Google) | { phoneCode } (OTP sent to the user's phone via /send-otp)
+   */
+  async reauthenticate(user, proof = {}) {
+    try {
+      if (proof.password && user.passwordHash) {
+        if (await verifyPassword(proof.password, user.passwordHash)) {
+          return { success: true };
+        }
+      } else if (proof.idToken && user.googleId) {
+        const verification = await this.googleTokenVerifier.verify(proof.idToken);
+        if (verification.success && verification.profile.googleId === user.googleId) {
+          return { success: true };
+        }
+      } else if (proof.phoneCode && user.phone) {
+        if (await smsService.verifyOTP(user.phone, proof.phoneCode)) {
+          return { success: true };
+        }
+      }
+
+      return { success: false, error: 'Re-authentication failed' };
+    } catch (error) {
+      console.error('Re-authentication error:', error);
+      return { success: false, error: 'Re-authentication failed' };
+    }
+  },
+
+  /**
+   * Load a user and check their re-authentication proof - shared by every link/unlink call
+   */
+  async getReauthenticatedUser(userId, proof) {
+    const userResult = await userService.getUserById(userId);
+    if (!userResult.success || !userResult.user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const reauth = await this.reauthenticate(userResult.user, proof);
+    if (!reauth.success) {
+      return { success: false, error: reauth.error, reauthFailed: true };
+    }
+
+    return { success: true, user: userResult.user };
+  },
+
+  /**
+   * Apply credential changes and rewrite authMethods from the resulting record
+   */
+  async saveAuthMethodChange(user, updates) {
+    const updatedUser = { ...user, ...updates };
+    const result = await userService.updateUser(user.id, {
+      ...updates,
+      authMethods: deriveAuthMethods(updatedUser),
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to update sign-in methods' };
+    }
+    return { success: true, user: sanitizeUser(result.user) };
+  },
+
+  async linkGoogle(userId, idToken, proof) {
+    try {
+      const verification = await this.googleTokenVerifier.verify(idToken);
+      if (!verification.success) {
+        return { success: false, error: verification.error };
+      }
+
+      const reauth = await this.getReauthenticatedUser(userId, proof);
+      if (!reauth.success) return reauth;
+
+      const { googleId } = verification.profile;
+      const owner = await this.getUserByGoogleId(googleId);
+      if (!owner.success) {
+        return { success: false, error: owner.error };
+      }
+      if (owner.user && owner.user.id !== userId) {
+        return { success: false, error: 'This Google account is already linked to another user' };
+      }
+
+      return this.saveAuthMethodChange(reauth.user, { googleId });
+    } catch (error) {
+      console.error('Link Google error:', error);
+      return { success: false, error: 'Failed to link Google account' };
+    }
+  },
+
+  /**
+   * @param {string} phoneNumber - Normalized phone number that received the OTP
+   * @param {string} code - OTP proving the user owns phoneNumber
+   */
+  async linkPhone(userId, phoneNumber, code, proof) {
+    try {
+      const reauth = await this.getReauthenticatedUser(userId, proof);
+      if (!reauth.success) return reauth;
+
+      const owner = await this.getUserByPhone(phoneNumber);
+      if (!owner.success) {
+        return { success: false, error: owner.error };
+      }
+      if (owner.user && owner.user.id !== userId) {
+        return { success: false, error: 'This phone number is already linked to another user' };
+      }
+
+      if (!(await smsService.verifyOTP(phoneNumber, code))) {
+        return { success: false, error: 'Invalid or expired OTP code' };
+      }
+
+      return this.saveAuthMethodChange(reauth.user, { phone: phoneNumber });
+    } catch (error) {
+      console.error('Link phone error:', error);
+      return { success: false, error: 'Failed to link phone number' };
+    }
+  },
+
+  async linkEmail(userId, email, password, proof) {
+    try {
+      if (!email || !password) {
+        return { success: false, error: 'Email and password are required' };
+      }
+      if (password.length < 6) {
+        return { success: false, error: 'Password must be at least 6 characters long' };
+      }
+
+      const reauth = await this.getReauthenticatedUser(userId, proof);
+      if (!reauth.success) return reauth;
+
+      const normalizedEmail = email.toLowerCase().trim();
+      const owner = await this.getUserByEmail(normalizedEmail);
+      if (!owner.success) {
+        return { success: false, error: owner.error };
+      }
+      if (owner.user && owner.user.id !== userId) {
+        return { success: false, error: 'This email is already used by another user' };
+      }
+
+      const updates = { passwordHash: await hashPassword(password) };
+      // A new address isn't verified yet, whatever the account's other sign-in methods are
+      const emailChanged = normalizedEmail !== reauth.user.email;
+      if (emailChanged) {
+        updates.email = normalizedEmail;
+        updates.isVerified = false;
+        updates.emailVerifiedAt = null;
+      }
+
+      const result = await this.saveAuthMethodChange(reauth.user, updates);
+      if (result.success && emailChanged) {
+        // A failed email doesn't undo the link - the user can ask for a new link
+        await this.sendVerificationEmail(result.user);
+      }
+      return result;
+    } catch (error) {
+      console.error('Link email error:', error);
+      return { success: false, error: 'Failed to link email' };
+    }
+  },
+
+  async unlinkAuthMethod(userId, method, proof) {
+    try {
+      if (!AUTH_METHODS.includes(method)) {
+        return { success: false, error: 'Unknown sign-in method' };
+      }
+
+      const reauth = await this.getReauthenticatedUser(userId, proof);
+      if (!reauth.success) return reauth;
+
+      const currentMethods = deriveAuthMethods(reauth.user);
+      if (!currentMethods.includes(method)) {
+        return { success: false, error: 'This sign-in method is not linked' };
+      }
+      if (currentMethods.length === 1) {
+        return { success: false, error: 'Cannot remove your last sign-in method' };
+      }
+
+      // The email address stays as a contact address - only password sign-in is removed
+      const updates = {
+        email: { passwordHash: null },
+        google: { googleId: null },
+        phone: { phone: null },
+      }[method];
+
+      return this.saveAuthMethodChange(reauth.user, updates);
+    } catch (error) {
+      console.error('Unlink sign-in method error:', error);
+      return { success: false, error: 'Failed to unlink sign-in method' };
+    }
+  },
+
+  /**
+   * Search users by name, email or phone (or "google:<id>"), one page at a time
+   * @param {{query: string}} search
+   * @param {{limit?: number, cursor?: string}} [page]
+   */
+  async getUsers({ query }, page = {}) {
     try {
       // Check if query is for Google ID search (format: "google:123456")
       if (query && query.startsWith('google:')) {
         const googleId = query.replace('google:', '');
         console.log('🔍 Searching for user with Google ID:', googleId);
         const result = await this.getUserByGoogleId(googleId);
-        console.log('🔍 getUserByGoogleId result:', result);
         
         // If search failed, return the error
         if (!result.success) {
@@ -380,32 +942,30 @@ const authService = {
         // Convert single user result to users array format
         if (result.user) {
           console.log('✅ User found with Google ID');
-          return { success: true, users: [result.user] };
+          return { success: true, users: [toPublicProfile(result.user)], nextCursor: null };
         } else {
           console.log('ℹ️ No user found with Google ID');
-          return { success: true, users: [] };
+          return { success: true, users: [], nextCursor: null };
         }
       }
 
       // Regular search by name, email, or phone
+      // A filtered scan - a page can hold fewer matches than `limit` (even none) while nextCursor is still set
       const params = {
-        TableName: 'ziko-users',
+        TableName: TABLES.USERS,
         FilterExpression:
           'contains(#name, :query) OR contains(email, :query) OR contains(phone, :query)',
         ExpressionAttributeNames: { '#name': 'name' },
         ExpressionAttributeValues: { ':query': query.toLowerCase() },
       };
-      const result = await dynamodb.send(new ScanCommand(params));
-      return { success: true, users: result.Items || [] };
+      const { items, nextCursor } = await scanPage(dynamodb, params, page);
+      return { success: true, users: items.map(toPublicProfile), nextCursor };
     } catch (error) {
       console.error('Get users (partial search) error:', error);
       return { success: false, error: error.message };
     }
   },
 
-  // Store reset codes in memory (in production, use Redis or DynamoDB)
-  resetCodeStore: new Map(),
-
   async requestPasswordReset(emailOrPhone) {
     try {
       // Try to find user by email first
@@ -431,67 +991,31 @@ const authService = {
         return { success: false, error: 'This account uses Google sign-in. Password reset is not available.' };
       }
 
-      // Generate 6-digit reset code
-      const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Store reset code with 15 minute expiration
-      this.resetCodeStore.set(user.id, {
-        code: resetCode,
-        expiresAt: Date.now() + 15 * 60 * 1000, // 15 minutes
-        email: user.email,
-      });
+      // Generate and store 6-digit reset code with 15 minute expiration
+      const resetCode = await codeStore.issue(RESET_CODE_PURPOSE, user.id, RESET_CODE_OPTIONS);
 
-      // Send reset code via SMS if phone exists, otherwise log it (email service can be added later)
+      // Send the code by SMS when the user has a phone, otherwise (or if SMS fails) by email.
+      // The code itself never goes back in the response or into the logs.
+      let delivered = false;
       if (user.phone) {
-        try {
-          const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
-          const AWS_CONFIG = {
-            region: process.env.AWS_REGION || process.env.EXPO_PUBLIC_AWS_REGION || 'us-east-1',
-            credentials: {
-              accessKeyId: process.env.AWS_ACCESS_KEY_ID || process.env.EXPO_PUBLIC_AWS_ACCESS_KEY_ID,
-              secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || process.env.EXPO_PUBLIC_AWS_SECRET_ACCESS_KEY,
-            },
-          };
-          
-          const AWS_ENABLED = !!((process.env.AWS_ACCESS_KEY_ID || process.env.EXPO_PUBLIC_AWS_ACCESS_KEY_ID) && 
-                                  (process.env.AWS_SECRET_ACCESS_KEY || process.env.EXPO_PUBLIC_AWS_SECRET_ACCESS_KEY));
-          
-          if (AWS_ENABLED) {
-            const snsClient = new SNSClient(AWS_CONFIG);
-            const message = `Your ZIKO password reset code is: ${resetCode}. This code expires in 15 minutes.`;
-            
-            const params = {
-              Message: message,
-              PhoneNumber: user.phone,
-            };
-            
-            await snsClient.send(new PublishCommand(params));
-            console.log(`✅ Password reset code sent via SMS to ${user.phone}`);
-          } else {
-            console.log(`📱 Password reset code for ${user.email}: ${resetCode} (SMS not configured)`);
-            return { 
-              success: true, 
-              message: 'Reset code generated. Check console/server logs for code.',
-              resetCode: resetCode // Include in response for development
-            };
-          }
-        } catch (smsError) {
-          console.error('SMS error:', smsError);
-          console.log(`📱 Password reset code for ${user.email}: ${resetCode}`);
-          return { 
-            success: true, 
-            message: 'Reset code generated. Check console/server logs for code.',
-            resetCode: resetCode // Include in response for development
-          };
-        }
-      } else {
-        // No phone number - log code for development
-        console.log(`📱 Password reset code for ${user.email}: ${resetCode}`);
-        return { 
-          success: true, 
-          message: 'Reset code generated. Check console/server logs for code.',
-          resetCode: resetCode // Include in response for development
-        };
+        const smsResult = await smsService.sendMessage(
+          user.phone,
+          `Your ZIKO password reset code is: ${resetCode}. This code expires in 15 minutes.`
+        );
+        delivered = smsResult.success;
+      }
+      if (!delivered && user.email) {
+        const mailResult = await mailService.sendTemplate(user.email, 'passwordReset', {
+          name: user.name,
+          code: resetCode,
+          expiresInMinutes: RESET_CODE_OPTIONS.ttlSeconds / 60,
+        });
+        delivered = mailResult.success;
+      }
+
+      if (!delivered) {
+        await codeStore.invalidate(RESET_CODE_PURPOSE, user.id);
+        return { success: false, error: 'Failed to send reset code. Please try again later.' };
       }
 
       return { success: true, message: 'Password reset code sent successfully' };
@@ -527,23 +1051,18 @@ const authService = {
         return { success: false, error: 'Invalid reset code or user not found' };
       }
 
-      // Verify reset code
-      const storedData = this.resetCodeStore.get(user.id);
-      if (!storedData) {
+      // Verify reset code (consumes it when valid)
+      const verification = await codeStore.verify(RESET_CODE_PURPOSE, user.id, resetCode);
+      if (!verification.valid) {
+        if (verification.reason === 'expired') {
+          return { success: false, error: 'Reset code has expired. Please request a new one.' };
+        }
+        if (verification.reason === 'mismatch') {
+          return { success: false, error: 'Invalid reset code' };
+        }
         return { success: false, error: 'Invalid or expired reset code' };
       }
 
-      // Check expiration
-      if (Date.now() > storedData.expiresAt) {
-        this.resetCodeStore.delete(user.id);
-        return { success: false, error: 'Reset code has expired. Please request a new one.' };
-      }
-
-      // Verify code
-      if (storedData.code !== resetCode) {
-        return { success: false, error: 'Invalid reset code' };
-      }
-
       // Hash new password
       const newPasswordHash = await hashPassword(newPassword);
 
@@ -554,8 +1073,8 @@ const authService = {
       });
 
       if (updateResult.success) {
-        // Remove used reset code
-        this.resetCodeStore.delete(user.id);
+        // Whoever triggered the reset may not own the devices that are signed in - sign them all out
+        await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
         return { success: true, message: 'Password reset successfully' };
       } else {
         return { success: false, error: updateResult.error || 'Failed to reset password' };
@@ -567,5 +1086,7 @@ const authService = {
   },
 };
 
+authService.sanitizeUser = sanitizeUser;
+
 module.exports = authService;
 
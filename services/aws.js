@@ -1,8 +1,13 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, ScanCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, TransactWriteCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { executeCloudOperation } = require('./cloudUtils');
+const { queryAll, queryItems, queryFirst } = require('./queryUtils');
+const { cardSecrets } = require('./cardSecrets');
+const { merchantService } = require('./merchantService');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, currencyService } = require('./currencyService');
+const { getExpiryTime } = require('./expiryUtils');
 const crypto = require('crypto');
 
 // AWS Configuration (from environment variables, only on server!)
@@ -37,8 +42,37 @@ const TABLES = {
   NOTIFICATIONS: 'ziko-notifications',
   FRIENDS: 'ziko-friends',
   SHARED_GIFTCARDS: 'ziko-shared-giftcards',
+  SESSIONS: 'ziko-sessions',
+  VERIFICATION_CODES: 'ziko-verification-codes',
+  RATE_LIMITS: 'ziko-rate-limits',
+  CARD_REVEALS: 'ziko-card-reveals',
+  PAYMENTS: 'ziko-payments',
 };
 
+// Global secondary indexes, named after their partition [- sort] key (definitions in the README)
+const INDEXES = {
+  USERS_BY_EMAIL: 'email-index',
+  USERS_BY_PHONE: 'phone-index',
+  USERS_BY_GOOGLE_ID: 'googleId-index',
+  GIFT_CARDS_BY_USER: 'userId-createdAt-index',
+  MARKETPLACE_BY_STATUS: 'status-listedAt-index',
+  MARKETPLACE_BY_GIFT_CARD: 'giftCardId-index',
+  MARKETPLACE_BY_SELLER: 'sellerId-listedAt-index',
+  NOTIFICATIONS_BY_USER: 'userId-createdAt-index',
+  FRIENDS_BY_FRIEND: 'friendId-userId-index',
+  SHARED_BY_RECIPIENT: 'toUserId-createdAt-index',
+  SHARED_BY_SENDER: 'fromUserId-createdAt-index',
+  SHARED_BY_CARD: 'giftCardId-toUserId-index',
+  SESSIONS_BY_USER: 'userId-index',
+  TRANSACTIONS_BY_CARD: 'giftCardId-createdAt-index',
+  TRANSACTIONS_BY_USER: 'userId-createdAt-index',
+  CARD_REVEALS_BY_CARD: 'giftCardId-revealedAt-index',
+  PAYMENTS_BY_STATUS: 'status-confirmBy-index',
+};
+
+// Index keys can't hold null, so a missing email/phone/googleId is left out of the item instead
+const INDEXED_USER_FIELDS = ['email', 'phone', 'googleId'];
+
 // S3 Bucket Names
 const BUCKETS = {
   GIFT_CARD_IMAGES: 'ziko-gift-card-images',
@@ -53,7 +87,9 @@ const userService = {
         const params = {
           TableName: TABLES.USERS,
           Item: {
-            ...userData, 
+            ...Object.fromEntries(
+              Object.entries(userData).filter(([key, value]) => !(INDEXED_USER_FIELDS.includes(key) && value == null))
+            ),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
           },
@@ -80,6 +116,17 @@ const userService = {
     );
   },
 
+  /**
+   * Currency the user wants totals and prices in - DEFAULT_CURRENCY until they pick one
+   */
+  async getPreferredCurrency(userId) {
+    const result = await this.getUserById(userId);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, currency: result.user?.preferredCurrency || DEFAULT_CURRENCY };
+  },
+
   async updateUser(userId, updates) {
     return executeCloudOperation(
       async () => {
@@ -91,11 +138,19 @@ const userService = {
           ExpressionAttributeValues: { ':updatedAt': new Date().toISOString() },
           ReturnValues: 'ALL_NEW',
         };
+        const removed = [];
         Object.keys(updates).forEach((key) => {
-          params.UpdateExpression += `, #${key} = :${key}`;
           params.ExpressionAttributeNames[`#${key}`] = key;
+          if (INDEXED_USER_FIELDS.includes(key) && updates[key] == null) {
+            removed.push(`#${key}`);
+            return;
+          }
+          params.UpdateExpression += `, #${key} = :${key}`;
           params.ExpressionAttributeValues[`:${key}`] = updates[key];
         });
+        if (removed.length > 0) {
+          params.UpdateExpression += ` REMOVE ${removed.join(', ')}`;
+        }
         const result = await dynamodb.send(new UpdateCommand(params));
         return { user: result.Attributes };
       },
@@ -119,43 +174,107 @@ const userService = {
 };
 
 // Gift Card Operations
+const buildGiftCardItem = async (cardData) => ({
+  id: cardData.id,
+  userId: cardData.userId,
+  storeName: cardData.storeName,
+  merchantId: merchantService.resolveMerchantId(cardData),
+  amount: cardData.amount,
+  balance: cardData.balance ?? cardData.amount, // Remaining value - only changed through the ledger
+  currency: cardData.currency || DEFAULT_CURRENCY, // Of amount and balance
+  expiryDate: cardData.expiryDate,
+  imageUrl: cardData.imageUrl || null,
+  // Card number and PIN are only stored encrypted
+  ...(await cardSecrets.toStoredFields(cardData)),
+  status: cardData.status || 'active',
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+// DynamoDB accepts at most 25 items per BatchWriteItem
+const BATCH_WRITE_SIZE = 25;
+const BATCH_WRITE_MAX_ATTEMPTS = 5;
+
 const giftCardService = {
+  /**
+   * Save a new card. The id comes from the client, so an id that already exists is refused (`conflict`)
+   * instead of overwriting someone else's card.
+   */
   async createGiftCard(cardData) {
     return executeCloudOperation(
       async () => {
         const params = {
           TableName: TABLES.GIFT_CARDS,
-          Item: {
-            id: cardData.id,
-            userId: cardData.userId,
-            storeName: cardData.storeName,
-            amount: cardData.amount,
-            expiryDate: cardData.expiryDate,
-            imageUrl: cardData.imageUrl || null,
-            cardNumber: cardData.cardNumber || null,
-            pin: cardData.pin || null,
-            status: cardData.status || 'active',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-          },
+          Item: await buildGiftCardItem(cardData),
+          ConditionExpression: 'attribute_not_exists(id)',
         };
-        await dynamodb.send(new PutCommand(params));
+        try {
+          await dynamodb.send(new PutCommand(params));
+        } catch (error) {
+          if (error.name === 'ConditionalCheckFailedException') {
+            return { success: false, error: 'A gift card with this id already exists', conflict: true };
+          }
+          throw error;
+        }
         return { card: params.Item };
       },
       'create gift card'
     );
   },
 
-  async getUserGiftCards(userId) {
+  /**
+   * Create many cards with batch writes (used by wallet import)
+   * @param {object[]} cardsData - Same shape as createGiftCard
+   */
+  async createGiftCards(cardsData) {
+    return executeCloudOperation(
+      async () => {
+        const items = await Promise.all(cardsData.map(buildGiftCardItem));
+
+        for (let i = 0; i < items.length; i += BATCH_WRITE_SIZE) {
+          let requests = items.slice(i, i + BATCH_WRITE_SIZE).map(Item => ({ PutRequest: { Item } }));
+
+          // Throttled items come back as UnprocessedItems and have to be resent
+          for (let attempt = 1; requests.length > 0; attempt++) {
+            if (attempt > BATCH_WRITE_MAX_ATTEMPTS) {
+              throw new Error(`Failed to write ${requests.length} gift cards`);
+            }
+            const result = await dynamodb.send(new BatchWriteCommand({
+              RequestItems: { [TABLES.GIFT_CARDS]: requests },
+            }));
+            requests = result.UnprocessedItems?.[TABLES.GIFT_CARDS] || [];
+            if (requests.length > 0) {
+              await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, attempt)));
+            }
+          }
+        }
+
+        return { cards: items };
+      },
+      'create gift cards',
+      { maxRetries: 0 }
+    );
+  },
+
+  /**
+   * Cards of a user, newest first
+   * @param {{limit?: number, cursor?: string}} [page] - One page for list endpoints, every card if omitted
+   * @param {{filterExpression?: string}} [view] - Only cards in this lifecycle view (wallet/archived/trash),
+   *   all cards if omitted
+   */
+  async getUserGiftCards(userId, page = null, view = null) {
     return executeCloudOperation(
       async () => {
         const params = {
           TableName: TABLES.GIFT_CARDS,
-          FilterExpression: 'userId = :userId',
+          IndexName: INDEXES.GIFT_CARDS_BY_USER,
+          KeyConditionExpression: 'userId = :userId',
+          ...(view && { FilterExpression: view.filterExpression }),
           ExpressionAttributeValues: { ':userId': userId },
+          ScanIndexForward: false,
         };
-        const result = await dynamodb.send(new ScanCommand(params));
-        return { cards: result.Items || [] };
+        const { items, nextCursor } = await queryItems(dynamodb, params, page);
+        return { cards: items, nextCursor };
       },
       'get user gift cards'
     );
@@ -178,6 +297,27 @@ const giftCardService = {
   async updateGiftCard(cardId, updates) {
     return executeCloudOperation(
       async () => {
+        if ('cardNumber' in updates || 'pin' in updates) {
+          // Re-encrypt both secrets together, keeping the one that isn't being changed
+          const { Item: existing } = await dynamodb.send(new GetCommand({
+            TableName: TABLES.GIFT_CARDS,
+            Key: { id: cardId },
+          }));
+          const current = existing ? await cardSecrets.reveal(existing) : {};
+          const { cardNumber, pin, ...rest } = updates;
+          updates = {
+            ...rest,
+            ...(await cardSecrets.toStoredFields({
+              cardNumber: 'cardNumber' in updates ? cardNumber : current.cardNumber,
+              pin: 'pin' in updates ? pin : current.pin,
+            })),
+          };
+        }
+
+        if ('storeName' in updates || 'merchantId' in updates) {
+          updates = { ...updates, merchantId: merchantService.resolveMerchantId(updates) };
+        }
+
         const params = {
           TableName: TABLES.GIFT_CARDS,
           Key: { id: cardId },
@@ -197,172 +337,468 @@ const giftCardService = {
       'update gift card'
     );
   },
+};
 
-  async deleteGiftCard(cardId) {
-    return executeCloudOperation(
-      async () => {
-        const params = {
-          TableName: TABLES.GIFT_CARDS,
-          Key: { id: cardId },
-        };
-        await dynamodb.send(new DeleteCommand(params));
-        return {};
-      },
-      'delete gift card'
-    );
-  },
+// A failed notification doesn't undo a purchase - it is only logged
+const notifyPurchase = async (listing, transaction, payment) => {
+  const price = `${transaction.amount} ${transaction.currency}`;
+  const data = {
+    listingId: listing.id,
+    giftCardId: listing.giftCardId,
+    transactionId: transaction.id,
+    ...(payment && { paymentId: payment.id }),
+  };
+  const notifications = [
+    {
+      id: crypto.randomUUID(),
+      userId: listing.buyerId,
+      type: 'marketplace_purchase',
+      title: `You bought a ${listing.storeName} gift card`,
+      message: `The ${listing.storeName} gift card you bought for ${price} is now in your wallet.`
+        + (payment ? ' Please confirm it works so the seller gets paid.' : ''),
+      data,
+    },
+    {
+      id: crypto.randomUUID(),
+      userId: listing.sellerId,
+      type: 'marketplace_sale',
+      title: `Your ${listing.storeName} gift card was sold`,
+      message: `Your ${listing.storeName} gift card was sold for ${price}.`
+        + (payment ? ' The payment is held until the buyer confirms the card works.' : ''),
+      data,
+    },
+  ];
+  for (const notification of notifications) {
+    const result = await notificationService.createNotification(notification);
+    if (!result.success) {
+      console.error(`❌ Failed to send ${notification.type} notification:`, result.error);
+    }
+  }
 };
 
 // Marketplace Operations
 const marketplaceService = {
-  async listGiftCard(cardData) {
+  /**
+   * List a card from the seller's wallet for sale. Store, value, currency and expiry are copied from the card,
+   * and the card is set to `listed` in the same transaction as the listing is created.
+   * Refusals are flagged: `notFound`, `forbidden` (not the seller's card) or `conflict` (not active, expired or already listed).
+   * @param {{giftCardId: string, sellerId: string, price: number, id?: string, sellerName?: string, imageUrl?: string}} listingData
+   */
+  async listGiftCard(listingData) {
+    const { giftCardId, sellerId } = listingData;
+
     return executeCloudOperation(
       async () => {
-        const listingId = cardData.id || `listing_${Date.now()}`;
-        const giftCardId = cardData.giftCardId || cardData.id;
-        
-        const params = {
-          TableName: TABLES.MARKETPLACE,
-          Item: {
-            id: listingId,
-            giftCardId: giftCardId, // Always save reference to original gift card
-            sellerId: cardData.sellerId,
-            sellerName: cardData.sellerName,
-            storeName: cardData.storeName,
-            amount: cardData.amount,
-            price: cardData.price,
-            expiryDate: cardData.expiryDate,
-            imageUrl: cardData.imageUrl || null,
-            status: 'available',
-            listedAt: new Date().toISOString(),
-            createdAt: new Date().toISOString(),
-          },
+        const { Item: card } = await dynamodb.send(new GetCommand({
+          TableName: TABLES.GIFT_CARDS,
+          Key: { id: giftCardId },
+        }));
+        if (!card || card.deletedAt) {
+          return { success: false, error: 'Gift card not found', notFound: true };
+        }
+        if (card.userId !== sellerId) {
+          return { success: false, error: 'You can only list your own gift cards', forbidden: true };
+        }
+        if (card.status === 'listed') {
+          return { success: false, error: 'Gift card is already listed', conflict: true };
+        }
+        if (card.status !== 'active' || card.archivedAt) {
+          return { success: false, error: `Gift card is ${card.archivedAt ? 'archived' : card.status}`, conflict: true };
+        }
+        const expiryTime = getExpiryTime(card.expiryDate);
+        if (expiryTime !== null && expiryTime <= Date.now()) {
+          return { success: false, error: 'Gift card has expired', conflict: true };
+        }
+
+        const existing = await this.getAvailableListingForCard(giftCardId);
+        if (!existing.success) {
+          return existing;
+        }
+        if (existing.listing) {
+          return { success: false, error: 'Gift card is already listed', conflict: true };
+        }
+
+        const now = new Date().toISOString();
+        const listing = {
+          id: listingData.id || `listing_${Date.now()}`,
+          giftCardId,
+          sellerId,
+          sellerName: listingData.sellerName,
+          storeName: card.storeName,
+          merchantId: card.merchantId || null,
+          amount: card.balance ?? card.amount, // What is left on the card is what the buyer gets
+          price: listingData.price,
+          currency: currencyService.currencyOf(card), // Of amount and price
+          expiryDate: card.expiryDate,
+          imageUrl: listingData.imageUrl || card.imageUrl || null,
+          status: 'available',
+          listedAt: now,
+          createdAt: now,
         };
-        await dynamodb.send(new PutCommand(params));
-        return { success: true, listing: params.Item };
+
+        try {
+          await dynamodb.send(new TransactWriteCommand({
+            TransactItems: [
+              {
+                Put: {
+                  TableName: TABLES.MARKETPLACE,
+                  Item: listing,
+                  ConditionExpression: 'attribute_not_exists(id)',
+                },
+              },
+              {
+                Update: {
+                  TableName: TABLES.GIFT_CARDS,
+                  Key: { id: giftCardId },
+                  UpdateExpression: 'SET #status = :listed, updatedAt = :now',
+                  ConditionExpression: 'userId = :sellerId AND #status = :active'
+                    + ' AND attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)',
+                  ExpressionAttributeNames: { '#status': 'status' },
+                  ExpressionAttributeValues: { ':listed': 'listed', ':active': 'active', ':sellerId': sellerId, ':now': now },
+                },
+              },
+            ],
+          }));
+        } catch (error) {
+          // The same card listed twice at once, or changed since it was read
+          if (error.name === 'TransactionCanceledException') {
+            return { success: false, error: 'Gift card is no longer available for listing', conflict: true };
+          }
+          throw error;
+        }
+
+        console.log('✅ Gift card listed:', { listingId: listing.id, giftCardId, sellerId });
+        return { success: true, listing };
       },
       'list gift card'
     );
   },
 
-  async getMarketplaceListings(filters = {}) {
+  /**
+   * Available listings, newest first
+   * @param {{merchantId?: string, storeName?: string, minPrice?: number, maxPrice?: number, currency?: string}} filters
+   *   A store name that is in the merchant catalog matches every spelling of that merchant.
+   *   minPrice/maxPrice are in `currency` and match listings of every currency; each listing also gets
+   *   displayPrice/displayCurrency in that currency.
+   * @param {{limit?: number, cursor?: string}} [page]
+   */
+  async getMarketplaceListings(filters = {}, page = null) {
     return executeCloudOperation(
       async () => {
         const params = {
           TableName: TABLES.MARKETPLACE,
-          FilterExpression: '#status = :status',
+          IndexName: INDEXES.MARKETPLACE_BY_STATUS,
+          KeyConditionExpression: '#status = :status',
           ExpressionAttributeNames: { '#status': 'status' },
           ExpressionAttributeValues: { ':status': 'available' },
+          ScanIndexForward: false,
         };
-        if (filters.storeName) {
-          params.FilterExpression += ' AND contains(storeName, :storeName)';
+        const conditions = [];
+        const merchantId = filters.merchantId || merchantService.resolveMerchantId({ storeName: filters.storeName });
+        if (merchantId) {
+          conditions.push('merchantId = :merchantId');
+          params.ExpressionAttributeValues[':merchantId'] = merchantId;
+        } else if (filters.storeName) {
+          conditions.push('contains(storeName, :storeName)');
           params.ExpressionAttributeValues[':storeName'] = filters.storeName;
         }
-        if (filters.minPrice) {
-          params.FilterExpression += ' AND price >= :minPrice';
-          params.ExpressionAttributeValues[':minPrice'] = filters.minPrice;
+        const currency = filters.currency || DEFAULT_CURRENCY;
+        if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+          // The price range converted into each listing currency
+          const ranges = SUPPORTED_CURRENCIES.map((code, i) => {
+            const parts = [code === DEFAULT_CURRENCY
+              ? `(attribute_not_exists(currency) OR currency = :currency${i})`
+              : `currency = :currency${i}`];
+            params.ExpressionAttributeValues[`:currency${i}`] = code;
+            if (filters.minPrice !== undefined) {
+              parts.push(`price >= :minPrice${i}`);
+              params.ExpressionAttributeValues[`:minPrice${i}`] = currencyService.convert(filters.minPrice, currency, code);
+            }
+            if (filters.maxPrice !== undefined) {
+              parts.push(`price <= :maxPrice${i}`);
+              params.ExpressionAttributeValues[`:maxPrice${i}`] = currencyService.convert(filters.maxPrice, currency, code);
+            }
+            return `(${parts.join(' AND ')})`;
+          });
+          conditions.push(`(${ranges.join(' OR ')})`);
         }
-        if (filters.maxPrice) {
-          params.FilterExpression += ' AND price <= :maxPrice';
-          params.ExpressionAttributeValues[':maxPrice'] = filters.maxPrice;
+        if (conditions.length > 0) {
+          params.FilterExpression = conditions.join(' AND ');
         }
-        const result = await dynamodb.send(new ScanCommand(params));
-        return { listings: result.Items || [] };
+        const { items, nextCursor } = await queryItems(dynamodb, params, page);
+        const listings = items.map(listing => ({
+          ...listing,
+          displayPrice: currencyService.convert(listing.price, currencyService.currencyOf(listing), currency),
+          displayCurrency: currency,
+        }));
+        return { listings, nextCursor };
       },
       'get marketplace listings'
     );
   },
 
-  async purchaseGiftCard(listingId, buyerId) {
+  /**
+   * The listing under which a gift card is currently for sale, or null
+   */
+  async getAvailableListingForCard(giftCardId) {
     return executeCloudOperation(
       async () => {
-        const transactionParams = {
-          TransactItems: [
-            {
-              Update: {
-                TableName: TABLES.MARKETPLACE,
-                Key: { id: listingId },
-                UpdateExpression: 'SET #status = :status, buyerId = :buyerId, purchasedAt = :purchasedAt',
-                ExpressionAttributeNames: { '#status': 'status' },
-                ExpressionAttributeValues: {
-                  ':status': 'sold',
-                  ':buyerId': buyerId,
-                  ':purchasedAt': new Date().toISOString(),
-                  ':availableStatus': 'available',
+        const listing = await queryFirst(dynamodb, {
+          TableName: TABLES.MARKETPLACE,
+          IndexName: INDEXES.MARKETPLACE_BY_GIFT_CARD,
+          KeyConditionExpression: 'giftCardId = :giftCardId',
+          FilterExpression: '#status = :available',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':giftCardId': giftCardId, ':available': 'available' },
+        });
+        return { listing };
+      },
+      'get listing for gift card'
+    );
+  },
+
+  /**
+   * Listings a seller has sold since a given time, oldest sale first
+   * @param {string} sellerId
+   * @param {{since?: string}} options - ISO timestamp, compared with purchasedAt
+   */
+  async getSoldListings(sellerId, { since } = {}) {
+    return executeCloudOperation(
+      async () => {
+        const listings = await queryAll(dynamodb, {
+          TableName: TABLES.MARKETPLACE,
+          IndexName: INDEXES.MARKETPLACE_BY_SELLER,
+          KeyConditionExpression: 'sellerId = :sellerId',
+          FilterExpression: since ? '#status = :sold AND purchasedAt >= :since' : '#status = :sold',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':sellerId': sellerId, ':sold': 'sold', ...(since && { ':since': since }) },
+        });
+        listings.sort((a, b) => String(a.purchasedAt).localeCompare(String(b.purchasedAt)));
+        return { listings };
+      },
+      'get sold listings'
+    );
+  },
+
+  /**
+   * The listing and its card, if the buyer can purchase it right now.
+   * Refusals are flagged: `notFound`, `forbidden` (own listing) or `conflict` (no longer available).
+   */
+  async getPurchasableListing(listingId, buyerId) {
+    return executeCloudOperation(
+      async () => {
+        const { Item: listing } = await dynamodb.send(new GetCommand({
+          TableName: TABLES.MARKETPLACE,
+          Key: { id: listingId },
+        }));
+        if (!listing) {
+          return { success: false, error: 'Listing not found', notFound: true };
+        }
+        if (listing.sellerId === buyerId) {
+          return { success: false, error: 'You can\'t buy your own listing', forbidden: true };
+        }
+        if (listing.status !== 'available') {
+          return { success: false, error: 'Listing is no longer available', conflict: true };
+        }
+
+        const { Item: card } = await dynamodb.send(new GetCommand({
+          TableName: TABLES.GIFT_CARDS,
+          Key: { id: listing.giftCardId },
+        }));
+        if (!card || card.userId !== listing.sellerId || card.deletedAt || card.archivedAt || card.status !== 'listed') {
+          return { success: false, error: 'The gift card is no longer available from this seller', conflict: true };
+        }
+        // The buyer pays for what was left on the card when it was listed
+        if ((card.balance ?? card.amount) !== listing.amount) {
+          return { success: false, error: 'The gift card was used since it was listed', conflict: true };
+        }
+        const expiryTime = getExpiryTime(card.expiryDate);
+        if (expiryTime !== null && expiryTime <= Date.now()) {
+          return { success: false, error: 'The gift card has expired', conflict: true };
+        }
+        return { listing, card };
+      },
+      'get purchasable listing'
+    );
+  },
+
+  /**
+   * Buy a listing: in one transaction the listing is marked sold, the gift card moves to the buyer's wallet
+   * and the price paid is recorded in ziko-transactions (with the escrow payment, when one is given).
+   * Buyer and seller are notified afterwards. Refusals are flagged like in getPurchasableListing.
+   * @param {{payment?: object}} options - ziko-payments item holding the buyer's money, written in the same transaction
+   */
+  async purchaseGiftCard(listingId, buyerId, { payment } = {}) {
+    const purchasable = await this.getPurchasableListing(listingId, buyerId);
+    if (!purchasable.success) {
+      return purchasable;
+    }
+    const { listing, card } = purchasable;
+    if (payment && (payment.amount !== listing.price || payment.currency !== currencyService.currencyOf(listing))) {
+      return { success: false, error: 'The listing price changed', conflict: true };
+    }
+
+    return executeCloudOperation(
+      async () => {
+        const now = new Date().toISOString();
+        const transaction = {
+          id: `txn_${crypto.randomUUID()}`,
+          type: 'purchase',
+          listingId,
+          giftCardId: card.id,
+          buyerId,
+          sellerId: listing.sellerId,
+          amount: listing.price,
+          currency: currencyService.currencyOf(listing),
+          ...(payment && { paymentId: payment.id }),
+          createdAt: now,
+        };
+
+        try {
+          await dynamodb.send(new TransactWriteCommand({
+            TransactItems: [
+              {
+                Update: {
+                  TableName: TABLES.MARKETPLACE,
+                  Key: { id: listingId },
+                  // soldBalance - what the seller's card held when it was sold (the card update checks it)
+                  UpdateExpression: 'SET #status = :sold, buyerId = :buyerId, purchasedAt = :now, soldBalance = :amount',
+                  ConditionExpression: '#status = :available',
+                  ExpressionAttributeNames: { '#status': 'status' },
+                  ExpressionAttributeValues: {
+                    ':sold': 'sold',
+                    ':available': 'available',
+                    ':buyerId': buyerId,
+                    ':now': now,
+                    ':amount': listing.amount,
+                  },
+                },
+              },
+              {
+                // The card starts fresh in the buyer's wallet - active, with new expiry reminders.
+                // It must still be listed with the value the buyer saw (cards without a balance predate the ledger)
+                Update: {
+                  TableName: TABLES.GIFT_CARDS,
+                  Key: { id: card.id },
+                  UpdateExpression: 'SET userId = :buyerId, #status = :active, previousOwnerId = :sellerId, '
+                    + 'purchasedAt = :now, updatedAt = :now REMOVE expiryRemindersFor, expiryRemindersSent',
+                  ConditionExpression: 'userId = :sellerId AND #status = :listed'
+                    + ' AND attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)'
+                    + ' AND (balance = :amount OR (attribute_not_exists(balance) AND amount = :amount))',
+                  ExpressionAttributeNames: { '#status': 'status' },
+                  ExpressionAttributeValues: {
+                    ':buyerId': buyerId,
+                    ':sellerId': listing.sellerId,
+                    ':active': 'active',
+                    ':listed': 'listed',
+                    ':amount': listing.amount,
+                    ':now': now,
+                  },
                 },
-                ConditionExpression: '#status = :availableStatus',
               },
-            },
-            {
-              Put: {
-                TableName: TABLES.TRANSACTIONS,
-                Item: {
-                  id: `txn_${Date.now()}`,
-                  listingId,
-                  buyerId,
-                  type: 'purchase',
-                  amount: 0,
-                  createdAt: new Date().toISOString(),
+              {
+                Put: {
+                  TableName: TABLES.TRANSACTIONS,
+                  Item: transaction,
+                  ConditionExpression: 'attribute_not_exists(id)',
                 },
               },
-            },
-          ],
+              ...(payment ? [{
+                Put: {
+                  TableName: TABLES.PAYMENTS,
+                  Item: { ...payment, transactionId: transaction.id },
+                  ConditionExpression: 'attribute_not_exists(id)',
+                },
+              }] : []),
+            ],
+          }));
+        } catch (error) {
+          // Another buyer, an unlisting or a change to the card got there first
+          if (error.name === 'TransactionCanceledException') {
+            return { success: false, error: 'Listing is no longer available', conflict: true };
+          }
+          throw error;
+        }
+
+        console.log('✅ Gift card purchased:', { listingId, giftCardId: card.id, buyerId, sellerId: listing.sellerId });
+        await notifyPurchase({ ...listing, buyerId, purchasedAt: now }, transaction, payment);
+        return {
+          listing: { ...listing, status: 'sold', buyerId, purchasedAt: now },
+          transaction,
         };
-        await dynamodb.send(new TransactWriteCommand(transactionParams));
-        return {};
       },
-      'purchase gift card'
+      'purchase gift card',
+      { maxRetries: 0 }
     );
   },
 
+  /**
+   * Take an available listing off the marketplace and set its card back to active, in one transaction.
+   * Refusals are flagged: `notFound`, `forbidden` (someone else's listing) or `conflict` (sold meanwhile).
+   */
   async unlistGiftCard(listingId, sellerId) {
     return executeCloudOperation(
       async () => {
-        // First, get the listing to verify ownership
-        const getParams = {
+        const { Item: listing } = await dynamodb.send(new GetCommand({
           TableName: TABLES.MARKETPLACE,
           Key: { id: listingId },
-        };
-        const listingResult = await dynamodb.send(new GetCommand(getParams));
-        
-        if (!listingResult.Item) {
-          return { success: false, error: 'Listing not found' };
+        }));
+        if (!listing) {
+          return { success: false, error: 'Listing not found', notFound: true };
         }
-
-        const listing = listingResult.Item;
-        
-        // Verify that the seller is the owner
         if (listing.sellerId !== sellerId) {
-          return { success: false, error: 'Unauthorized: You are not the owner of this listing' };
+          return { success: false, error: 'You are not the seller of this listing', forbidden: true };
         }
-
-        // Verify that the listing is still available (not sold)
         if (listing.status !== 'available') {
-          return { success: false, error: 'Cannot unlist: Card has already been sold' };
+          return { success: false, error: 'Cannot unlist: Card has already been sold', conflict: true };
         }
 
-        // Delete the listing from marketplace
-        const deleteParams = {
-          TableName: TABLES.MARKETPLACE,
-          Key: { id: listingId },
-        };
-        await dynamodb.send(new DeleteCommand(deleteParams));
-
-        // Get the original gift card ID from the listing
         const giftCardId = listing.giftCardId || listing.id;
-
-        // Update the gift card status back to 'active'
-        if (giftCardId) {
-          const updateParams = {
-            TableName: TABLES.GIFT_CARDS,
-            Key: { id: giftCardId },
-            UpdateExpression: 'SET #status = :status',
-            ExpressionAttributeNames: { '#status': 'status' },
-            ExpressionAttributeValues: { ':status': 'active' },
-          };
-          await dynamodb.send(new UpdateCommand(updateParams));
+        const { Item: card } = await dynamodb.send(new GetCommand({
+          TableName: TABLES.GIFT_CARDS,
+          Key: { id: giftCardId },
+        }));
+        // Listings from before cards were marked `listed` only need to be removed
+        const cardIsListed = card && card.userId === sellerId && card.status === 'listed';
+
+        try {
+          await dynamodb.send(new TransactWriteCommand({
+            TransactItems: [
+              {
+                Delete: {
+                  TableName: TABLES.MARKETPLACE,
+                  Key: { id: listingId },
+                  ConditionExpression: '#status = :available AND sellerId = :sellerId',
+                  ExpressionAttributeNames: { '#status': 'status' },
+                  ExpressionAttributeValues: { ':available': 'available', ':sellerId': sellerId },
+                },
+              },
+              ...(cardIsListed ? [{
+                Update: {
+                  TableName: TABLES.GIFT_CARDS,
+                  Key: { id: giftCardId },
+                  UpdateExpression: 'SET #status = :active, updatedAt = :now',
+                  ConditionExpression: 'userId = :sellerId AND #status = :listed',
+                  ExpressionAttributeNames: { '#status': 'status' },
+                  ExpressionAttributeValues: {
+                    ':active': 'active',
+                    ':listed': 'listed',
+                    ':sellerId': sellerId,
+                    ':now': new Date().toISOString(),
+                  },
+                },
+              }] : []),
+            ],
+          }));
+        } catch (error) {
+          // A purchase got there first
+          if (error.name === 'TransactionCanceledException') {
+            return { success: false, error: 'Listing is no longer available', conflict: true };
+          }
+          throw error;
         }
 
+        console.log('✅ Gift card unlisted:', { listingId, giftCardId, sellerId });
         return { success: true, giftCardId };
       },
       'unlist gift card'
@@ -429,6 +865,29 @@ const s3Service = {
     );
   },
 
+  /**
+   * Keys of every image uploaded for a gift card (all uploads live under gift-cards/<cardId>/)
+   */
+  async listGiftCardImages(cardId) {
+    return executeCloudOperation(
+      async () => {
+        const keys = [];
+        let continuationToken;
+        do {
+          const result = await s3.send(new ListObjectsV2Command({
+            Bucket: BUCKETS.GIFT_CARD_IMAGES,
+            Prefix: `gift-cards/${cardId}/`,
+            ContinuationToken: continuationToken,
+          }));
+          keys.push(...(result.Contents || []).map(object => object.Key));
+          continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return { keys };
+      },
+      'list gift card images'
+    );
+  },
+
   async deleteImage(bucket, key) {
     return executeCloudOperation(
       async () => {
@@ -466,16 +925,22 @@ const notificationService = {
     );
   },
 
-  async getUserNotifications(userId) {
+  /**
+   * Notifications of a user, newest first
+   * @param {{limit?: number, cursor?: string}} [page]
+   */
+  async getUserNotifications(userId, page = null) {
     return executeCloudOperation(
       async () => {
         const params = {
           TableName: TABLES.NOTIFICATIONS,
-          FilterExpression: 'userId = :userId',
+          IndexName: INDEXES.NOTIFICATIONS_BY_USER,
+          KeyConditionExpression: 'userId = :userId',
           ExpressionAttributeValues: { ':userId': userId },
+          ScanIndexForward: false,
         };
-        const result = await dynamodb.send(new ScanCommand(params));
-        return { notifications: result.Items || [] };
+        const { items, nextCursor } = await queryItems(dynamodb, params, page);
+        return { notifications: items, nextCursor };
       },
       'get user notifications'
     );
@@ -500,9 +965,11 @@ const notificationService = {
 };
 
 module.exports = {
+  AWS_CONFIG,
   dynamodb,
   s3,
   TABLES,
+  INDEXES,
   BUCKETS,
   userService,
   giftCardService,
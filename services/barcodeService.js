@@ -0,0 +1,44 @@
+// Barcode / QR rendering of a card number, for scanning at the checkout.
+// The symbology is a merchant setting (barcodeFormat in data/merchants.json); cards of unknown stores use Code 128.
+
+const bwipjs = require('bwip-js');
+
+const DEFAULT_BARCODE_FORMAT = 'code128';
+
+// bwip-js options per symbology
+const BARCODE_FORMATS = {
+  code128: { bcid: 'code128', scale: 3, height: 15, includetext: true, textxalign: 'center' },
+  ean13: { bcid: 'ean13', scale: 3, height: 20, includetext: true },
+  qrcode: { bcid: 'qrcode', scale: 6, eclevel: 'M' },
+};
+
+const OUTPUT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+};
+
+const barcodeService = {
+  /**
+   * Render a card number
+   * @param {string} text - The card number (spaces are dropped, they are only formatting)
+   * @param {'code128'|'ean13'|'qrcode'} format
+   * @param {'svg'|'png'} type
+   * @returns {Promise<{success: boolean, body?: string|Buffer, contentType?: string, error?: string}>}
+   *   A number the symbology can't encode (e.g. not 12-13 digits for EAN-13) is returned as an error
+   */
+  async render(text, format = DEFAULT_BARCODE_FORMAT, type = 'svg') {
+    const options = { ...BARCODE_FORMATS[format], text: String(text).replace(/\s+/g, '') };
+    try {
+      const body = type === 'png' ? await bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+      return { success: true, body, contentType: OUTPUT_TYPES[type] };
+    } catch (error) {
+      // bwip-js reports bad input as "bwipp.<code>: <message>"
+      if (String(error.message).startsWith('bwipp.')) {
+        return { success: false, error: `Card number can't be encoded as ${format}: ${error.message.replace(/^\S+:\s*/, '')}` };
+      }
+      throw error;
+    }
+  },
+};
+
+module.exports = { barcodeService, BARCODE_FORMATS, OUTPUT_TYPES, DEFAULT_BARCODE_FORMAT };
@@ -0,0 +1,189 @@
+// Archive, trash, restore and purge of gift cards.
+// Archived cards are only hidden from the wallet. Deleted cards go to the trash for
+// CARD_TRASH_RETENTION_DAYS and are then purged - the record and its S3 images are removed for good.
+
+const { dynamodb, TABLES, BUCKETS, marketplaceService, s3Service } = require('./aws');
+const { executeCloudOperation } = require('./cloudUtils');
+const { UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_CONFIG = {
+  retentionDays: parseInt(process.env.CARD_TRASH_RETENTION_DAYS) || 30,
+};
+
+// Which cards a wallet listing shows: the wallet itself, the archive or the trash
+const CARD_VIEWS = {
+  wallet: {
+    filterExpression: 'attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)',
+    matches: card => !card.deletedAt && !card.archivedAt,
+  },
+  archived: {
+    filterExpression: 'attribute_exists(archivedAt) AND attribute_not_exists(deletedAt)',
+    matches: card => Boolean(card.archivedAt) && !card.deletedAt,
+  },
+  trash: {
+    filterExpression: 'attribute_exists(deletedAt)',
+    matches: card => Boolean(card.deletedAt),
+  },
+};
+
+const isConditionFailure = (error) => error.name === 'ConditionalCheckFailedException';
+
+// Update a card only if it is still in the state it was read in.
+// `conditionValues` are extra placeholders the condition uses besides the updated fields.
+const updateCardState = async (card, { set = {}, remove = [], condition, conditionValues = {} }) => {
+  const values = { ...set, updatedAt: new Date().toISOString() };
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLES.GIFT_CARDS,
+    Key: { id: card.id },
+    UpdateExpression: `SET ${Object.keys(values).map(key => `${key} = :${key}`).join(', ')}`
+      + (remove.length > 0 ? ` REMOVE ${remove.join(', ')}` : ''),
+    ConditionExpression: `attribute_exists(id) AND ${condition}`,
+    ...(condition.includes('#status') && { ExpressionAttributeNames: { '#status': 'status' } }),
+    ExpressionAttributeValues: {
+      ...Object.fromEntries(Object.entries(values).map(([key, value]) => [`:${key}`, value])),
+      ...conditionValues,
+    },
+    ReturnValues: 'ALL_NEW',
+  }));
+  return result.Attributes;
+};
+
+// Failures caused by the card's state are returned with `conflict: true`, anything else is a storage failure
+const cardLifecycleService = {
+  async archiveCard(card) {
+    if (card.deletedAt) {
+      return { success: false, error: 'Gift card is in the trash', conflict: true };
+    }
+    if (card.archivedAt) {
+      return { success: true, card };
+    }
+    return executeCloudOperation(
+      async () => {
+        try {
+          const updated = await updateCardState(card, {
+            set: { archivedAt: new Date().toISOString() },
+            condition: 'attribute_not_exists(deletedAt)',
+          });
+          return { card: updated };
+        } catch (error) {
+          if (isConditionFailure(error)) return { success: false, error: 'Gift card is in the trash', conflict: true };
+          throw error;
+        }
+      },
+      'archive gift card'
+    );
+  },
+
+  /**
+   * Move a card to the trash. Cards that are for sale on the marketplace have to be unlisted first.
+   */
+  async trashCard(card) {
+    if (card.deletedAt) {
+      return { success: true, card };
+    }
+
+    const listing = await marketplaceService.getAvailableListingForCard(card.id);
+    if (!listing.success) {
+      return listing;
+    }
+    if (card.status === 'listed' || listing.listing) {
+      return { success: false, error: 'Gift card is listed on the marketplace - unlist it first', conflict: true };
+    }
+
+    return executeCloudOperation(
+      async () => {
+        const deletedAt = new Date();
+        try {
+          const updated = await updateCardState(card, {
+            set: {
+              deletedAt: deletedAt.toISOString(),
+              purgeAt: new Date(deletedAt.getTime() + TRASH_CONFIG.retentionDays * DAY_MS).toISOString(),
+            },
+            condition: 'attribute_not_exists(deletedAt) AND #status <> :listed',
+            conditionValues: { ':listed': 'listed' },
+          });
+          return { card: updated };
+        } catch (error) {
+          if (isConditionFailure(error)) {
+            return { success: false, error: 'Gift card is listed on the marketplace - unlist it first', conflict: true };
+          }
+          throw error;
+        }
+      },
+      'trash gift card'
+    );
+  },
+
+  /**
+   * Bring a card back from the archive or the trash (unless a purge already started)
+   */
+  async restoreCard(card) {
+    if (!card.deletedAt && !card.archivedAt) {
+      return { success: false, error: 'Gift card is not archived or deleted', conflict: true };
+    }
+    return executeCloudOperation(
+      async () => {
+        try {
+          const updated = await updateCardState(card, {
+            remove: ['archivedAt', 'deletedAt', 'purgeAt'],
+            condition: 'attribute_not_exists(purgingAt)',
+          });
+          return { card: updated };
+        } catch (error) {
+          if (isConditionFailure(error)) return { success: false, error: 'Gift card is being deleted', conflict: true };
+          throw error;
+        }
+      },
+      'restore gift card'
+    );
+  },
+
+  /**
+   * Permanently delete a card from the trash: its S3 images first, then the record.
+   * The card is claimed with `purgingAt` so it can't be restored halfway; a failed purge is retried by the next run.
+   */
+  async purgeCard(card) {
+    if (!card.deletedAt) {
+      return { success: false, error: 'Gift card is not in the trash', conflict: true };
+    }
+    return executeCloudOperation(
+      async () => {
+        try {
+          await updateCardState(card, {
+            set: { purgingAt: new Date().toISOString() },
+            condition: 'deletedAt = :deletedAt',
+            conditionValues: { ':deletedAt': card.deletedAt },
+          });
+        } catch (error) {
+          if (isConditionFailure(error)) return { success: false, error: 'Gift card was restored', conflict: true };
+          throw error;
+        }
+
+        const images = await s3Service.listGiftCardImages(card.id);
+        if (!images.success) {
+          throw new Error(images.error);
+        }
+        for (const key of images.keys) {
+          const result = await s3Service.deleteImage(BUCKETS.GIFT_CARD_IMAGES, key);
+          if (!result.success) {
+            throw new Error(`Failed to delete image ${key}`);
+          }
+        }
+
+        await dynamodb.send(new DeleteCommand({
+          TableName: TABLES.GIFT_CARDS,
+          Key: { id: card.id },
+          ConditionExpression: 'attribute_exists(purgingAt)',
+        }));
+        console.log(`🗑️ Gift card ${card.id} purged (${images.keys.length} images)`);
+        return { deletedImages: images.keys.length };
+      },
+      'purge gift card',
+      { maxRetries: 0 }
+    );
+  },
+};
+
+module.exports = { cardLifecycleService, CARD_VIEWS, TRASH_CONFIG };
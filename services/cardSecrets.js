@@ -0,0 +1,120 @@
+// Gift card number/PIN encryption at rest (envelope encryption, one data key per card)
+
+const crypto = require('crypto');
+const { createKeyProvider } = require('./keyProvider');
+
+const SECRET_FIELDS = ['cardNumber', 'pin'];
+const ENVELOPE_VERSION = 1;
+
+const cardSecrets = {
+  // Replaceable so tests can use an in-memory master key. Created on first use.
+  keyProvider: null,
+
+  getKeyProvider() {
+    if (!this.keyProvider) {
+      this.keyProvider = createKeyProvider();
+    }
+    return this.keyProvider;
+  },
+
+  /**
+   * Encrypt the card number and PIN into a single envelope
+   * @param {{cardNumber?: string|null, pin?: string|null}} secrets
+   * @returns {Promise<object|null>} envelope to store as `cardSecrets`, or null when there is nothing to protect
+   */
+  async encrypt(secrets) {
+    const values = {};
+    SECRET_FIELDS.forEach((field) => {
+      if (secrets[field] !== undefined && secrets[field] !== null && secrets[field] !== '') {
+        values[field] = String(secrets[field]);
+      }
+    });
+    if (Object.keys(values).length === 0) {
+      return null;
+    }
+
+    const provider = this.getKeyProvider();
+    const { plaintextKey, encryptedKey, keyId } = await provider.generateDataKey();
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', plaintextKey, iv);
+      const ciphertext = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+      return {
+        v: ENVELOPE_VERSION,
+        provider: provider.name,
+        keyId,
+        encryptedKey,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+      };
+    } finally {
+      plaintextKey.fill(0);
+    }
+  },
+
+  /**
+   * @param {object} envelope - Stored `cardSecrets`
+   * @returns {Promise<{cardNumber: string|null, pin: string|null}>}
+   */
+  async decrypt(envelope) {
+    if (!envelope) {
+      return { cardNumber: null, pin: null };
+    }
+
+    const dataKey = await this.getKeyProvider().decryptDataKey(envelope.encryptedKey);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final(),
+      ]).toString('utf8');
+      const values = JSON.parse(plaintext);
+      return { cardNumber: values.cardNumber ?? null, pin: values.pin ?? null };
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  /**
+   * Card number and PIN of a stored card (cards saved before encryption still have plaintext fields)
+   */
+  async reveal(card) {
+    if (card.cardSecrets) {
+      return this.decrypt(card.cardSecrets);
+    }
+    return { cardNumber: card.cardNumber || null, pin: card.pin || null };
+  },
+
+  /**
+   * Attributes to store for new card secrets - the plaintext fields are always blanked
+   */
+  async toStoredFields(secrets) {
+    const cardNumber = secrets.cardNumber ? String(secrets.cardNumber) : null;
+    return {
+      cardNumber: null,
+      pin: null,
+      cardSecrets: await this.encrypt(secrets),
+      cardNumberLast4: cardNumber ? cardNumber.slice(-4) : null,
+      hasPin: !!secrets.pin,
+    };
+  },
+
+  /**
+   * Card as returned by list/read endpoints - secrets replaced by masked values
+   */
+  mask(card) {
+    if (!card) return card;
+    const { cardSecrets: _, cardNumberLast4, hasPin, ...rest } = card;
+    const last4 = cardNumberLast4 ?? (card.cardNumber ? String(card.cardNumber).slice(-4) : null);
+    const pinSet = hasPin ?? !!card.pin;
+    return {
+      ...rest,
+      cardNumber: last4 ? `•••• ${last4}` : null,
+      pin: pinSet ? '••••' : null,
+    };
+  },
+};
+
+module.exports = { cardSecrets, SECRET_FIELDS };
@@ -0,0 +1,209 @@
+const { dynamodb, TABLES } = require('./aws');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+
+// One-time code store for OTPs, password-reset codes, etc.
+// Codes are only ever stored as an HMAC, each code allows a limited number of guesses,
+// and a code can be consumed exactly once even when two verify requests race.
+
+const CODE_DEFAULTS = {
+  ttlSeconds: 5 * 60, // 5 minutes
+  maxAttempts: 5,
+  length: 6,
+};
+
+const CODE_HASH_SECRET = process.env.CODE_HASH_SECRET || process.env.JWT_SECRET || '';
+
+if (!CODE_HASH_SECRET) {
+  console.warn('⚠️ CODE_HASH_SECRET not configured - verification codes are hashed without a secret');
+}
+
+// A 6-digit code has only a million values, so the hash is keyed with a server secret
+const hashCode = (key, code) => {
+  return crypto.createHmac('sha256', CODE_HASH_SECRET).update(`${key}:${code}`).digest('hex');
+};
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || '', 'hex');
+  const bufB = Buffer.from(b || '', 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Digit by digit, so long link tokens work too (randomInt is limited to 2^48)
+const generateCode = (length) => {
+  return Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+};
+
+const buildKey = (purpose, subject) => `${purpose}#${subject}`;
+
+/**
+ * In-memory code store - for tests and single-instance development only
+ */
+const createMemoryCodeStore = () => {
+  const entries = new Map();
+
+  const store = {
+    async issue(purpose, subject, options = {}) {
+      const { ttlSeconds, maxAttempts, length } = { ...CODE_DEFAULTS, ...options };
+      const key = buildKey(purpose, subject);
+      const code = generateCode(length);
+
+      entries.set(key, {
+        codeHash: hashCode(key, code),
+        attempts: 0,
+        maxAttempts,
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      });
+
+      return code;
+    },
+
+    // No awaits inside - the whole check-and-consume runs without interleaving
+    async verify(purpose, subject, code) {
+      const key = buildKey(purpose, subject);
+      const entry = entries.get(key);
+
+      if (!entry) {
+        return { valid: false, reason: 'not_found' };
+      }
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return { valid: false, reason: 'expired' };
+      }
+      if (entry.attempts >= entry.maxAttempts) {
+        entries.delete(key);
+        return { valid: false, reason: 'too_many_attempts' };
+      }
+      if (!safeEqual(entry.codeHash, hashCode(key, String(code)))) {
+        entry.attempts += 1;
+        if (entry.attempts >= entry.maxAttempts) {
+          entries.delete(key);
+        }
+        return { valid: false, reason: 'mismatch' };
+      }
+
+      entries.delete(key);
+      return { valid: true };
+    },
+
+    async invalidate(purpose, subject) {
+      entries.delete(buildKey(purpose, subject));
+    },
+
+    cleanupExpired() {
+      const now = Date.now();
+      for (const [key, entry] of entries.entries()) {
+        if (now > entry.expiresAt) {
+          entries.delete(key);
+        }
+      }
+    },
+  };
+
+  // Clean up expired codes every minute (doesn't keep the process alive)
+  setInterval(() => store.cleanupExpired(), 60000).unref();
+
+  return store;
+};
+
+/**
+ * DynamoDB code store - safe behind multiple server instances.
+ * Expired items are removed by the table's TTL on the `ttl` attribute.
+ */
+const createDynamoCodeStore = (tableName = TABLES.VERIFICATION_CODES) => ({
+  async issue(purpose, subject, options = {}) {
+    const { ttlSeconds, maxAttempts, length } = { ...CODE_DEFAULTS, ...options };
+    const key = buildKey(purpose, subject);
+    const code = generateCode(length);
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+
+    const params = {
+      TableName: tableName,
+      Item: {
+        id: key,
+        purpose,
+        codeHash: hashCode(key, code),
+        nonce: crypto.randomUUID(),
+        attempts: 0,
+        maxAttempts,
+        expiresAt,
+        ttl: Math.floor(expiresAt / 1000), // DynamoDB TTL attribute (epoch seconds)
+        createdAt: new Date().toISOString(),
+      },
+    };
+    await dynamodb.send(new PutCommand(params));
+
+    return code;
+  },
+
+  async verify(purpose, subject, code) {
+    const key = buildKey(purpose, subject);
+    const result = await dynamodb.send(new GetCommand({
+      TableName: tableName,
+      Key: { id: key },
+      ConsistentRead: true,
+    }));
+    const entry = result.Item;
+
+    // TTL deletion is lazy, so expiry is checked here as well
+    if (!entry) {
+      return { valid: false, reason: 'not_found' };
+    }
+    if (Date.now() > entry.expiresAt) {
+      await this.invalidate(purpose, subject);
+      return { valid: false, reason: 'expired' };
+    }
+    if (entry.attempts >= entry.maxAttempts) {
+      await this.invalidate(purpose, subject);
+      return { valid: false, reason: 'too_many_attempts' };
+    }
+
+    // Every condition is pinned to this exact code (nonce) so a re-issued code is never touched
+    const condition = {
+      ConditionExpression: 'nonce = :nonce AND attempts < :maxAttempts',
+      ExpressionAttributeValues: { ':nonce': entry.nonce, ':maxAttempts': entry.maxAttempts },
+    };
+
+    try {
+      if (!safeEqual(entry.codeHash, hashCode(key, String(code)))) {
+        await dynamodb.send(new UpdateCommand({
+          TableName: tableName,
+          Key: { id: key },
+          UpdateExpression: 'ADD attempts :one',
+          ...condition,
+          ExpressionAttributeValues: { ...condition.ExpressionAttributeValues, ':one': 1 },
+        }));
+        return { valid: false, reason: 'mismatch' };
+      }
+
+      // Consume the code - only one of several racing requests can delete it
+      await dynamodb.send(new DeleteCommand({
+        TableName: tableName,
+        Key: { id: key },
+        ...condition,
+      }));
+      return { valid: true };
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return { valid: false, reason: 'not_found' };
+      }
+      throw error;
+    }
+  },
+
+  async invalidate(purpose, subject) {
+    await dynamodb.send(new DeleteCommand({
+      TableName: tableName,
+      Key: { id: buildKey(purpose, subject) },
+    }));
+  },
+});
+
+// CODE_STORE=memory for local development/tests, DynamoDB otherwise
+const codeStore = process.env.CODE_STORE === 'memory'
+  ? createMemoryCodeStore()
+  : createDynamoCodeStore();
+
+console.log('🔑 Code store:', process.env.CODE_STORE === 'memory' ? 'memory' : 'dynamodb');
+
+module.exports = { codeStore, createMemoryCodeStore, createDynamoCodeStore, CODE_DEFAULTS };
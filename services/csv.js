@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, "" escapes, CRLF/LF line endings)
+
+/**
+ * Parse CSV text into rows of string fields. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // Excel adds a BOM
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Spreadsheet apps run cells that start with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line (with trailing CRLF)
+ * @param {Array<*>} values
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(',')}\r\n`;
+
+module.exports = { parseCsv, formatCsvRow };
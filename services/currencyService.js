@@ -0,0 +1,75 @@
+// Currencies and conversion between them, using a local exchange-rate table.
+// The table (data/exchangeRates.json, or the file in EXCHANGE_RATES_FILE) holds the value of one unit
+// of each currency in the base currency. Amounts stored before currencies existed are in DEFAULT_CURRENCY.
+
+const fs = require('fs');
+const path = require('path');
+
+const loadRateTable = () => {
+  const file = process.env.EXCHANGE_RATES_FILE
+    ? path.resolve(process.env.EXCHANGE_RATES_FILE)
+    : path.join(__dirname, '../data/exchangeRates.json');
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (table.rates?.[table.base] !== 1) {
+    throw new Error(`Exchange rates: the base currency ${table.base} must have a rate of 1`);
+  }
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    if (!/^[A-Z]{3}$/.test(code) || !(typeof rate === 'number' && rate > 0)) {
+      throw new Error(`Exchange rates: invalid rate for ${code}: ${rate}`);
+    }
+  });
+  return table;
+};
+
+const RATE_TABLE = loadRateTable();
+
+const SUPPORTED_CURRENCIES = Object.keys(RATE_TABLE.rates);
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || RATE_TABLE.base).toUpperCase();
+if (!SUPPORTED_CURRENCIES.includes(DEFAULT_CURRENCY)) {
+  throw new Error(`DEFAULT_CURRENCY ${DEFAULT_CURRENCY} is not in the exchange-rate table`);
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const currencyService = {
+  /**
+   * Currency of a stored card, listing or transaction
+   */
+  currencyOf(item) {
+    return item?.currency || DEFAULT_CURRENCY;
+  },
+
+  /**
+   * Convert an amount between two supported currencies, rounded to cents
+   */
+  convert(amount, from, to) {
+    if (from === to) {
+      return amount;
+    }
+    return roundMoney((amount * RATE_TABLE.rates[from]) / RATE_TABLE.rates[to]);
+  },
+
+  /**
+   * Sum amounts of mixed currencies in one currency
+   * @param {{amount: number, currency?: string}[]} entries
+   * @returns {{total: number, byCurrency: Object<string, number>}} byCurrency holds the unconverted sums
+   */
+  sum(entries, currency) {
+    const byCurrency = {};
+    entries.forEach(({ amount, currency: entryCurrency }) => {
+      const code = entryCurrency || DEFAULT_CURRENCY;
+      byCurrency[code] = roundMoney((byCurrency[code] || 0) + amount);
+    });
+    const total = Object.entries(byCurrency)
+      .reduce((sum, [code, amount]) => sum + this.convert(amount, code, currency), 0);
+    return { total: roundMoney(total), byCurrency };
+  },
+
+  getRates() {
+    return { base: RATE_TABLE.base, updatedAt: RATE_TABLE.updatedAt || null, rates: RATE_TABLE.rates };
+  },
+};
+
+module.exports = { currencyService, SUPPORTED_CURRENCIES, DEFAULT_CURRENCY };
@@ -0,0 +1,14 @@
+// Gift card expiry dates - shared by the expiry job, the wallet summary and the marketplace
+
+/**
+ * Moment a card stops being usable. Date-only values ("2026-03-31") are valid until the end of that day.
+ * @returns {number|null} epoch ms, or null if the date can't be parsed
+ */
+const getExpiryTime = (expiryDate) => {
+  if (typeof expiryDate !== 'string' || !expiryDate) return null;
+  const value = /^\d{4}-\d{2}-\d{2}$/.test(expiryDate) ? `${expiryDate}T23:59:59.999Z` : expiryDate;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+module.exports = { getExpiryTime };
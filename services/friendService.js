@@ -1,10 +1,26 @@
-const { dynamodb } = require('./aws');
+const { dynamodb, INDEXES } = require('./aws');
+const { queryAll, queryItems, queryPage, queryFirst, encodeCursor, decodeCursor } = require('./queryUtils');
 const { v4: uuidv4 } = require('uuid');
-const { ScanCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 
 const FRIENDS_TABLE = process.env.FRIENDS_TABLE || 'ziko-friends';
 const SHARED_TABLE = process.env.SHARED_GIFTCARDS_TABLE || 'ziko-shared-giftcards';
 
+// A friendship is stored once, keyed by (userId = requester, friendId = recipient).
+// The user's side of it is read from the table itself or from the friendId index.
+const friendshipQueries = (userId, status) => {
+  const common = {
+    TableName: FRIENDS_TABLE,
+    FilterExpression: '#status = :status',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':userId': userId, ':status': status },
+  };
+  return {
+    requested: { ...common, KeyConditionExpression: 'userId = :userId' },
+    received: { ...common, IndexName: INDEXES.FRIENDS_BY_FRIEND, KeyConditionExpression: 'friendId = :userId' },
+  };
+};
+
 const friendService = {
   async sendFriendRequest(userId, friendId) {
     const item = {
@@ -44,38 +60,52 @@ const friendService = {
     return { success: true };
   },
 
-  async getFriends(userId) {
-    const params1 = {
-      TableName: FRIENDS_TABLE,
-      FilterExpression: 'userId = :userId AND #status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':userId': userId, ':status': 'accepted' },
+  /**
+   * Accepted friendships of a user, from both sides
+   * @param {{limit?: number, cursor?: string}} [page] - Pages go through the requested side, then the received side
+   */
+  async getFriends(userId, page = null) {
+    const queries = friendshipQueries(userId, 'accepted');
+    const toFriend = {
+      requested: f => ({ ...f, otherUserId: f.friendId }),
+      received: f => ({ ...f, otherUserId: f.userId }),
     };
-    const params2 = {
-      TableName: FRIENDS_TABLE,
-      FilterExpression: 'friendId = :userId AND #status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':userId': userId, ':status': 'accepted' },
-    };
-    const [res1, res2] = await Promise.all([
-      dynamodb.send(new ScanCommand(params1)),
-      dynamodb.send(new ScanCommand(params2)),
-    ]);
-    const friendsA = (res1.Items || []).map(f => ({...f, otherUserId: f.friendId}));
-    const friendsB = (res2.Items || []).map(f => ({...f, otherUserId: f.userId}));
-    const all = [...friendsA, ...friendsB];
-    return { success: true, friends: all };
+
+    if (!page) {
+      const [requested, received] = await Promise.all([
+        queryAll(dynamodb, queries.requested),
+        queryAll(dynamodb, queries.received),
+      ]);
+      return {
+        success: true,
+        friends: [...requested.map(toFriend.requested), ...received.map(toFriend.received)],
+        nextCursor: null,
+      };
+    }
+
+    // The cursor remembers which side it is on: { side, cursor }
+    const position = page.cursor ? decodeCursor(page.cursor) : { side: 'requested' };
+    if (!position || !queries[position.side] || (position.cursor && decodeCursor(position.cursor) === null)) {
+      return { success: false, error: 'Invalid cursor' };
+    }
+
+    const { items, nextCursor } = await queryPage(dynamodb, queries[position.side], {
+      limit: page.limit,
+      cursor: position.cursor,
+    });
+
+    let next = null;
+    if (nextCursor) {
+      next = encodeCursor({ side: position.side, cursor: nextCursor });
+    } else if (position.side === 'requested') {
+      next = encodeCursor({ side: 'received' });
+    }
+    return { success: true, friends: items.map(toFriend[position.side]), nextCursor: next };
   },
 
-  async getPendingRequests(userId) {
-    const params = {
-      TableName: FRIENDS_TABLE,
-      FilterExpression: 'friendId = :userId AND #status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':userId': userId, ':status': 'pending' },
-    };
-    const result = await dynamodb.send(new ScanCommand(params));
-    return { success: true, requests: result.Items || [] };
+  async getPendingRequests(userId, page = null) {
+    const { items, nextCursor } = await queryItems(dynamodb, friendshipQueries(userId, 'pending').received, page);
+    return { success: true, requests: items, nextCursor };
   },
 };
 
@@ -97,24 +127,44 @@ const sharedGiftCardService = {
     return { success: true, shared: item };
   },
 
-  async getReceivedGiftCards(userId) {
+  async getReceivedGiftCards(userId, page = null) {
     const params = {
       TableName: SHARED_TABLE,
-      FilterExpression: 'toUserId = :userId',
+      IndexName: INDEXES.SHARED_BY_RECIPIENT,
+      KeyConditionExpression: 'toUserId = :userId',
       ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
     };
-    const result = await dynamodb.send(new ScanCommand(params));
-    return { success: true, sharedCards: result.Items || [] };
+    const { items, nextCursor } = await queryItems(dynamodb, params, page);
+    return { success: true, sharedCards: items, nextCursor };
   },
 
-  async getSentGiftCards(userId) {
+  async getSentGiftCards(userId, page = null) {
     const params = {
       TableName: SHARED_TABLE,
-      FilterExpression: 'fromUserId = :userId',
+      IndexName: INDEXES.SHARED_BY_SENDER,
+      KeyConditionExpression: 'fromUserId = :userId',
       ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
     };
-    const result = await dynamodb.send(new ScanCommand(params));
-    return { success: true, sharedCards: result.Items || [] };
+    const { items, nextCursor } = await queryItems(dynamodb, params, page);
+    return { success: true, sharedCards: items, nextCursor };
+  },
+
+  /**
+   * Whether the card's current owner shared it with the user - shares by a previous owner
+   * (before the card was sold on the marketplace) no longer count
+   * @param {{id: string, userId: string}} card
+   */
+  async isSharedWith(card, userId) {
+    const share = await queryFirst(dynamodb, {
+      TableName: SHARED_TABLE,
+      IndexName: INDEXES.SHARED_BY_CARD,
+      KeyConditionExpression: 'giftCardId = :giftCardId AND toUserId = :userId',
+      FilterExpression: 'fromUserId = :ownerId',
+      ExpressionAttributeValues: { ':giftCardId': card.id, ':userId': userId, ':ownerId': card.userId },
+    });
+    return share !== null;
   },
 };
 
@@ -0,0 +1,130 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Used when Google's response has no Cache-Control max-age
+const DEFAULT_KEYS_MAX_AGE_SECONDS = 60 * 60;
+// Don't hammer Google when tokens arrive with an unknown kid
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fetch Google's signing keys (JWKS)
+ * @returns {Promise<{keys: object[], maxAgeSeconds: number}>}
+ */
+const fetchGoogleKeys = async () => {
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Google signing keys: HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  const maxAgeMatch = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+  return {
+    keys: body.keys || [],
+    maxAgeSeconds: maxAgeMatch ? parseInt(maxAgeMatch[1]) : DEFAULT_KEYS_MAX_AGE_SECONDS,
+  };
+};
+
+/**
+ * Create a verifier for Google ID tokens
+ * @param {object} options
+ * @param {string[]} options.clientIds - Accepted audiences (our web/iOS/Android OAuth client IDs)
+ * @param {() => Promise<{keys: object[], maxAgeSeconds: number}>} [options.fetchKeys] - JWKS source (inject a fake one in tests)
+ * @param {() => number} [options.now] - Clock in milliseconds
+ */
+const createGoogleTokenVerifier = ({ clientIds, fetchKeys = fetchGoogleKeys, now = () => Date.now() } = {}) => {
+  let cachedKeys = new Map(); // kid -> KeyObject
+  let cacheExpiresAt = 0;
+  let lastFetchAt = 0;
+
+  const refreshKeys = async () => {
+    const { keys, maxAgeSeconds } = await fetchKeys();
+    const nextKeys = new Map();
+
+    keys
+      .filter(jwk => jwk.kid && jwk.kty === 'RSA')
+      .forEach(jwk => nextKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+
+    cachedKeys = nextKeys;
+    lastFetchAt = now();
+    cacheExpiresAt = lastFetchAt + (maxAgeSeconds || DEFAULT_KEYS_MAX_AGE_SECONDS) * 1000;
+  };
+
+  const getKey = async (kid) => {
+    const expired = now() >= cacheExpiresAt;
+    // Google rotates keys - an unknown kid triggers one early refetch
+    const unknownKid = !cachedKeys.has(kid) && now() - lastFetchAt >= MIN_REFETCH_INTERVAL_MS;
+
+    if (expired || unknownKid) {
+      await refreshKeys();
+    }
+
+    return cachedKeys.get(kid) || null;
+  };
+
+  return {
+    /**
+     * Verify a Google ID token's signature, audience, issuer and expiry
+     * @param {string} idToken - Raw ID token from Google Sign-In
+     * @returns {Promise<{success: boolean, profile?: {googleId: string, email: string, name?: string, picture?: string}, error?: string}>}
+     */
+    async verify(idToken) {
+      if (!clientIds || clientIds.length === 0) {
+        console.error('❌ GOOGLE_CLIENT_IDS not configured');
+        return { success: false, error: 'Google sign-in is not configured' };
+      }
+
+      const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+      if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+        return { success: false, error: 'Invalid Google ID token' };
+      }
+
+      try {
+        const key = await getKey(decoded.header.kid);
+        if (!key) {
+          return { success: false, error: 'Invalid Google ID token' };
+        }
+
+        const claims = jwt.verify(idToken, key, {
+          algorithms: ['RS256'],
+          audience: clientIds,
+          issuer: GOOGLE_ISSUERS,
+          clockTimestamp: Math.floor(now() / 1000),
+        });
+
+        if (!claims.sub || !claims.email || claims.email_verified !== true) {
+          return { success: false, error: 'Google account email is not verified' };
+        }
+
+        return {
+          success: true,
+          profile: {
+            googleId: claims.sub,
+            email: claims.email.toLowerCase().trim(),
+            name: claims.name,
+            picture: claims.picture,
+          },
+        };
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          return { success: false, error: 'Google ID token expired' };
+        }
+        if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+          return { success: false, error: 'Invalid Google ID token' };
+        }
+        console.error('❌ Google ID token verification error:', error);
+        return { success: false, error: 'Failed to verify Google ID token' };
+      }
+    },
+  };
+};
+
+// Web, iOS and Android apps each have their own OAuth client ID
+const googleTokenVerifier = createGoogleTokenVerifier({
+  clientIds: (process.env.GOOGLE_CLIENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+});
+
+module.exports = { googleTokenVerifier, createGoogleTokenVerifier, fetchGoogleKeys };
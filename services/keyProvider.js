@@ -0,0 +1,120 @@
+// Key providers for envelope encryption: every record is encrypted with its own data key,
+// and only the data key is encrypted by the master key (KMS in production, a local key file in dev/tests)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_CONFIG = {
+  // kms | local - defaults to KMS when a key id is configured. The local key file is never picked implicitly.
+  provider: process.env.KEY_PROVIDER || (process.env.KMS_KEY_ID ? 'kms' : undefined),
+  kmsKeyId: process.env.KMS_KEY_ID,
+  localKeyFile: process.env.LOCAL_KEY_FILE || path.join(__dirname, '..', '.keys', 'master.key'),
+};
+
+const DATA_KEY_BYTES = 32; // AES-256
+
+/**
+ * AWS KMS provider (production)
+ * @param {{keyId: string, client?: object}} options - client defaults to a KMSClient with the server's AWS config
+ */
+const createKmsKeyProvider = ({ keyId = KEY_CONFIG.kmsKeyId, client } = {}) => {
+  if (!keyId) {
+    throw new Error('KMS_KEY_ID is required for the kms key provider');
+  }
+  const { KMSClient, GenerateDataKeyCommand, DecryptCommand } = require('@aws-sdk/client-kms');
+  const kms = client || new KMSClient(require('./aws').AWS_CONFIG);
+
+  return {
+    name: 'kms',
+    keyId,
+
+    async generateDataKey() {
+      const result = await kms.send(new GenerateDataKeyCommand({ KeyId: keyId, KeySpec: 'AES_256' }));
+      return {
+        plaintextKey: Buffer.from(result.Plaintext),
+        encryptedKey: Buffer.from(result.CiphertextBlob).toString('base64'),
+        keyId: result.KeyId || keyId,
+      };
+    },
+
+    async decryptDataKey(encryptedKey) {
+      const result = await kms.send(new DecryptCommand({
+        CiphertextBlob: Buffer.from(encryptedKey, 'base64'),
+        KeyId: keyId,
+      }));
+      return Buffer.from(result.Plaintext);
+    },
+  };
+};
+
+/**
+ * Read the local master key, creating a random one on first use outside production
+ */
+const loadLocalMasterKey = (keyFile) => {
+  if (!fs.existsSync(keyFile)) {
+    if (process.env.NODE_ENV === 'production') {
+      // A new random key can't decrypt the cards that are already stored
+      throw new Error(`Local master key not found at ${keyFile} - it is only created automatically outside production`);
+    }
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, crypto.randomBytes(DATA_KEY_BYTES).toString('base64'), { mode: 0o600 });
+    console.warn(`🔑 Created a new local master key at ${keyFile} (development only)`);
+  }
+
+  const key = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+  if (key.length !== DATA_KEY_BYTES) {
+    throw new Error(`Local master key must be ${DATA_KEY_BYTES} bytes (base64)`);
+  }
+  return key;
+};
+
+/**
+ * Local key file provider (development/tests) - data keys are wrapped with AES-256-GCM
+ * @param {{keyFile?: string, masterKey?: Buffer}} options - masterKey skips the file (tests)
+ */
+const createLocalKeyProvider = ({ keyFile = KEY_CONFIG.localKeyFile, masterKey } = {}) => {
+  // Loaded up front so a missing key fails when the provider is created, not on the first card
+  const key = masterKey || loadLocalMasterKey(keyFile);
+  const getMasterKey = () => key;
+  const keyId = masterKey ? 'local:memory' : `local:${path.basename(keyFile)}`;
+
+  return {
+    name: 'local',
+    keyId,
+
+    async generateDataKey() {
+      const plaintextKey = crypto.randomBytes(DATA_KEY_BYTES);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+      const wrapped = Buffer.concat([cipher.update(plaintextKey), cipher.final()]);
+      return {
+        plaintextKey,
+        encryptedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64'),
+        keyId,
+      };
+    },
+
+    async decryptDataKey(encryptedKey) {
+      const data = Buffer.from(encryptedKey, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), data.subarray(0, 12));
+      decipher.setAuthTag(data.subarray(12, 28));
+      return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+    },
+  };
+};
+
+const createKeyProvider = () => {
+  if (KEY_CONFIG.provider === 'kms') {
+    return createKmsKeyProvider();
+  }
+  if (KEY_CONFIG.provider === 'local') {
+    return createLocalKeyProvider();
+  }
+  if (!KEY_CONFIG.provider) {
+    throw new Error('No key provider configured - set KMS_KEY_ID, or KEY_PROVIDER=local for development');
+  }
+  throw new Error(`Unknown KEY_PROVIDER: ${KEY_CONFIG.provider}`);
+};
+
+module.exports = { createKeyProvider, createKmsKeyProvider, createLocalKeyProvider, KEY_CONFIG };
@@ -0,0 +1,235 @@
+const { dynamodb, TABLES, INDEXES } = require('./aws');
+const { executeCloudOperation } = require('./cloudUtils');
+const { queryAll } = require('./queryUtils');
+const { currencyService } = require('./currencyService');
+const { v4: uuidv4 } = require('uuid');
+const { GetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Ledger entry types written to ziko-transactions
+const LEDGER_TYPES = {
+  REDEMPTION: 'redemption',
+  TOP_UP: 'topup',
+};
+
+// Balance changes are optimistic: a concurrent change makes the transaction fail,
+// and the whole operation (read + write) is retried quickly with the fresh balance
+const BALANCE_RETRY_CONFIG = { maxRetries: 5, baseDelay: 50, maxDelay: 500 };
+
+// Amounts are handled in agorot/cents internally so repeated partial redemptions don't drift
+const toCents = (value) => Math.round(value * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Validate a redemption/top-up amount (positive, at most 2 decimal places)
+ * @returns {string|null} error message, or null when valid
+ */
+const validateAmount = (amount) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return 'Amount must be a positive number';
+  }
+  if (Math.abs(amount * 100 - toCents(amount)) > 1e-6) {
+    return 'Amount can have at most 2 decimal places';
+  }
+  return null;
+};
+
+// Cards created before the ledger only have their face value
+const currentBalance = (card) => (card.balance ?? card.amount ?? 0);
+
+const ledgerService = {
+  /**
+   * Apply a balance change to a card and record it in the ledger, atomically
+   * @param {string} cardId
+   * @param {string} userId - User making the change (the card owner)
+   * @param {number} delta - Signed amount (negative for redemptions)
+   * @param {{type: string, note?: string, allowedStatuses: string[]}} options
+   */
+  async applyBalanceChange(cardId, userId, delta, { type, note, allowedStatuses }) {
+    return executeCloudOperation(
+      async () => {
+        const cardResult = await dynamodb.send(new GetCommand({
+          TableName: TABLES.GIFT_CARDS,
+          Key: { id: cardId },
+        }));
+        const card = cardResult.Item;
+        if (!card) {
+          return { success: false, error: 'Gift card not found' };
+        }
+        if (!allowedStatuses.includes(card.status)) {
+          return { success: false, error: `Gift card is ${card.status}` };
+        }
+        if (card.deletedAt) {
+          return { success: false, error: 'Gift card is in the trash' };
+        }
+        // Archived cards are put away - restore the card to use it again
+        if (card.archivedAt) {
+          return { success: false, error: 'Gift card is archived' };
+        }
+
+        const balanceBefore = currentBalance(card);
+        const balanceAfterCents = toCents(balanceBefore) + toCents(delta);
+        if (balanceAfterCents < 0) {
+          return { success: false, error: 'Insufficient balance', balance: balanceBefore };
+        }
+
+        const balanceAfter = fromCents(balanceAfterCents);
+        const status = balanceAfterCents === 0 ? 'used' : 'active';
+        const now = new Date().toISOString();
+
+        const entry = {
+          id: `txn_${uuidv4()}`,
+          giftCardId: cardId,
+          userId,
+          type,
+          amount: Math.abs(delta),
+          currency: currencyService.currencyOf(card),
+          balanceBefore,
+          balanceAfter,
+          note: note || null,
+          createdAt: now,
+        };
+
+        await dynamodb.send(new TransactWriteCommand({
+          TransactItems: [
+            {
+              Update: {
+                TableName: TABLES.GIFT_CARDS,
+                Key: { id: cardId },
+                UpdateExpression: 'SET balance = :balanceAfter, #status = :status, updatedAt = :now',
+                // Only apply on top of the balance we read - otherwise another change won the race
+                ConditionExpression: card.balance === undefined
+                  ? 'attribute_not_exists(balance) AND #status = :currentStatus AND attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)'
+                  : 'balance = :balanceBefore AND #status = :currentStatus AND attribute_not_exists(deletedAt) AND attribute_not_exists(archivedAt)',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                  ':balanceAfter': balanceAfter,
+                  ':status': status,
+                  ':now': now,
+                  ':currentStatus': card.status,
+                  ...(card.balance === undefined ? {} : { ':balanceBefore': card.balance }),
+                },
+              },
+            },
+            {
+              Put: {
+                TableName: TABLES.TRANSACTIONS,
+                Item: entry,
+                ConditionExpression: 'attribute_not_exists(id)',
+              },
+            },
+          ],
+        }));
+
+        console.log(`✅ Gift card ${type}:`, { cardId, amount: entry.amount, balanceAfter });
+        return {
+          card: { ...card, balance: balanceAfter, status, updatedAt: now },
+          transaction: entry,
+        };
+      },
+      `gift card ${type}`,
+      BALANCE_RETRY_CONFIG
+    );
+  },
+
+  async redeem(cardId, userId, amount, note) {
+    const error = validateAmount(amount);
+    if (error) {
+      return { success: false, error };
+    }
+    return this.applyBalanceChange(cardId, userId, -amount, {
+      type: LEDGER_TYPES.REDEMPTION,
+      note,
+      allowedStatuses: ['active'],
+    });
+  },
+
+  async topUp(cardId, userId, amount, note) {
+    const error = validateAmount(amount);
+    if (error) {
+      return { success: false, error };
+    }
+    // Topping up a used card makes it active again
+    return this.applyBalanceChange(cardId, userId, amount, {
+      type: LEDGER_TYPES.TOP_UP,
+      note,
+      allowedStatuses: ['active', 'used'],
+    });
+  },
+
+  /**
+   * Entries of a card, oldest first
+   * @param {string} cardId
+   * @param {{since?: string}} options - Only entries from an ISO timestamp on
+   */
+  async getCardTransactions(cardId, { since } = {}) {
+    return executeCloudOperation(
+      async () => {
+        // Oldest first - the index is sorted by createdAt
+        const transactions = await queryAll(dynamodb, {
+          TableName: TABLES.TRANSACTIONS,
+          IndexName: INDEXES.TRANSACTIONS_BY_CARD,
+          KeyConditionExpression: since ? 'giftCardId = :giftCardId AND createdAt >= :since' : 'giftCardId = :giftCardId',
+          ExpressionAttributeValues: { ':giftCardId': cardId, ...(since && { ':since': since }) },
+        });
+        return { transactions };
+      },
+      'get gift card transactions'
+    );
+  },
+
+  /**
+   * Ledger entries a user made on their cards, oldest first
+   * @param {string} userId
+   * @param {{type?: string, since?: string}} options - Only entries of one LEDGER_TYPES type / from an ISO timestamp on
+   */
+  async getUserTransactions(userId, { type, since } = {}) {
+    return executeCloudOperation(
+      async () => {
+        const transactions = await queryAll(dynamodb, {
+          TableName: TABLES.TRANSACTIONS,
+          IndexName: INDEXES.TRANSACTIONS_BY_USER,
+          KeyConditionExpression: since ? 'userId = :userId AND createdAt >= :since' : 'userId = :userId',
+          ...(type && { FilterExpression: '#type = :type', ExpressionAttributeNames: { '#type': 'type' } }),
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ...(since && { ':since': since }),
+            ...(type && { ':type': type }),
+          },
+        });
+        return { transactions };
+      },
+      'get user transactions'
+    );
+  },
+
+  /**
+   * Balance of a card over time, oldest first, starting from its opening balance.
+   * A card bought on the marketplace only shows its history since the purchase - not the seller's entries.
+   * @param {object} card - The gift card item
+   */
+  async getBalanceHistory(card) {
+    const result = await this.getCardTransactions(card.id, { since: card.purchasedAt });
+    if (!result.success) {
+      return result;
+    }
+
+    // Marketplace purchases of the card are in the same table but don't change its balance
+    const transactions = result.transactions.filter(txn => Object.values(LEDGER_TYPES).includes(txn.type));
+    const openingBalance = transactions.length > 0 ? transactions[0].balanceBefore : currentBalance(card);
+    const history = [
+      { at: card.purchasedAt || card.createdAt, type: 'opening', balance: openingBalance },
+      ...transactions.map(txn => ({
+        at: txn.createdAt,
+        type: txn.type,
+        amount: txn.amount,
+        balance: txn.balanceAfter,
+        note: txn.note,
+        transactionId: txn.id,
+      })),
+    ];
+
+    return { success: true, balance: currentBalance(card), currency: currencyService.currencyOf(card), status: card.status, history };
+  },
+};
+
+module.exports = { ledgerService, LEDGER_TYPES };
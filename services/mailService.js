@@ -0,0 +1,97 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailTemplates = require('./mailTemplates');
+
+// Mail Configuration (from environment variables, only on server!)
+const MAIL_CONFIG = {
+  // smtp | outbox - defaults to SMTP when a host is configured
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox'),
+  from: process.env.MAIL_FROM || 'ZIKO <no-reply@ziko.app>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    } : undefined,
+  },
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+};
+
+/**
+ * SMTP transport (production)
+ */
+const createSmtpTransport = (smtpConfig = MAIL_CONFIG.smtp) => {
+  const transporter = nodemailer.createTransport(smtpConfig);
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * Outbox transport (local development/tests) - every email is written to a JSON file instead of being sent
+ */
+const createOutboxTransport = (outboxDir = MAIL_CONFIG.outboxDir) => ({
+  name: 'outbox',
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(outboxDir, { recursive: true });
+    await fs.writeFile(
+      path.join(outboxDir, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, createdAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  },
+});
+
+const createTransport = () => {
+  if (MAIL_CONFIG.transport === 'smtp') {
+    return createSmtpTransport();
+  }
+  return createOutboxTransport();
+};
+
+console.log('📧 Mail Service Config:', {
+  transport: MAIL_CONFIG.transport,
+  from: MAIL_CONFIG.from,
+  hasSmtpHost: !!MAIL_CONFIG.smtp.host,
+});
+
+const mailService = {
+  // Replaceable so tests can capture outgoing mail
+  transport: createTransport(),
+
+  /**
+   * Render a template and send it
+   * @param {string} to - Recipient address
+   * @param {string} templateName - Key in mailTemplates
+   * @param {object} params - Template parameters
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendTemplate(to, templateName, params) {
+    try {
+      const template = mailTemplates[templateName];
+      if (!template) {
+        throw new Error(`Unknown mail template: ${templateName}`);
+      }
+
+      const { subject, text, html } = template(params);
+      const result = await this.transport.send({ from: MAIL_CONFIG.from, to, subject, text, html });
+
+      console.log(`✅ Email "${templateName}" sent via ${this.transport.name}`, { messageId: result.messageId });
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error(`❌ Error sending "${templateName}" email:`, error);
+      return { success: false, error: 'Failed to send email' };
+    }
+  },
+};
+
+module.exports = { mailService, createSmtpTransport, createOutboxTransport };
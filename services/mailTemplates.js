@@ -0,0 +1,55 @@
+// Email templates - every template returns { subject, text, html }
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; background: #f5f5f5; padding: 24px;">
+    <div style="max-width: 480px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 24px;">
+      <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="color: #888888; font-size: 12px;">If you didn't request this, you can ignore this email.</p>
+    </div>
+  </body>
+</html>`;
+
+const mailTemplates = {
+  /**
+   * @param {{name?: string, link: string, expiresInHours: number}} params
+   */
+  emailVerification({ name, link, expiresInHours }) {
+    const greeting = name ? `Hi ${name},` : 'Hi,';
+    return {
+      subject: 'Verify your ZIKO email address',
+      text: `${greeting}\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in ${expiresInHours} hours.`,
+      html: layout('Verify your email address', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Please verify your email address by clicking the button below.</p>
+      <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #6c3bff; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Verify email</a></p>
+      <p style="font-size: 12px;">The link expires in ${expiresInHours} hours.</p>`),
+    };
+  },
+
+  /**
+   * @param {{name?: string, code: string, expiresInMinutes: number}} params
+   */
+  passwordReset({ name, code, expiresInMinutes }) {
+    const greeting = name ? `Hi ${name},` : 'Hi,';
+    return {
+      subject: 'Your ZIKO password reset code',
+      text: `${greeting}\n\nYour ZIKO password reset code is: ${code}\n\nThe code expires in ${expiresInMinutes} minutes.`,
+      html: layout('Password reset', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Your password reset code is:</p>
+      <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${escapeHtml(code)}</p>
+      <p style="font-size: 12px;">The code expires in ${expiresInMinutes} minutes.</p>`),
+    };
+  },
+};
+
+module.exports = mailTemplates;
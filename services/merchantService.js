@@ -0,0 +1,151 @@
+// Merchant catalog - canonical stores with Hebrew/English aliases, logos, categories, barcode format and card validity.
+// The registry lives in data/merchants.json; free-text store names are resolved to a merchantId through it.
+
+const merchants = require('../data/merchants.json');
+const { BARCODE_FORMATS, DEFAULT_BARCODE_FORMAT } = require('./barcodeService');
+
+const MERCHANT_CATEGORIES = [
+  'fashion',
+  'department_store',
+  'groceries',
+  'health_beauty',
+  'electronics',
+  'home',
+  'books',
+  'entertainment',
+  'food',
+  'multi_brand',
+];
+
+const LOGO_BASE_URL = (process.env.MERCHANT_LOGO_BASE_URL || 'https://ziko-merchant-logos.s3.amazonaws.com/logos')
+  .replace(/\/$/, '');
+
+/**
+ * Comparable form of a store name: case, spacing, punctuation, accents and niqqud are ignored,
+ * so "ZARA ", "zara" and "Zara!" are the same store
+ */
+const normalizeStoreName = (name) => String(name ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f\u0591-\u05c7]/g, '') // Latin accents and Hebrew niqqud
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]/gu, '');
+
+const toPublicMerchant = (merchant) => ({
+  id: merchant.id,
+  name: merchant.name,
+  nameHe: merchant.nameHe,
+  aliases: merchant.aliases,
+  category: merchant.category,
+  logoUrl: `${LOGO_BASE_URL}/${merchant.logo}`,
+  barcodeFormat: merchant.barcodeFormat,
+  defaultValidityMonths: merchant.defaultValidityMonths,
+});
+
+// Names a merchant can be typed as, normalized once at startup
+const termsOf = (merchant) => [merchant.name, merchant.nameHe, ...merchant.aliases].map(normalizeStoreName);
+
+const merchantsById = new Map();
+const merchantsByTerm = new Map();
+const termsByMerchantId = new Map();
+
+merchants.forEach((merchant) => {
+  if (!MERCHANT_CATEGORIES.includes(merchant.category)) {
+    throw new Error(`Merchant ${merchant.id} has an unknown category: ${merchant.category}`);
+  }
+  if (!BARCODE_FORMATS[merchant.barcodeFormat]) {
+    throw new Error(`Merchant ${merchant.id} has an unknown barcode format: ${merchant.barcodeFormat}`);
+  }
+  merchantsById.set(merchant.id, merchant);
+  termsByMerchantId.set(merchant.id, termsOf(merchant));
+  termsByMerchantId.get(merchant.id).forEach((term) => {
+    const owner = merchantsByTerm.get(term);
+    if (owner && owner !== merchant) {
+      throw new Error(`Merchant alias "${term}" is used by both ${owner.id} and ${merchant.id}`);
+    }
+    merchantsByTerm.set(term, merchant);
+  });
+});
+
+// How well a query matches a merchant: 3 = a full name/alias, 2 = a prefix of one, 1 = part of one
+const matchScore = (merchant, query) => termsByMerchantId.get(merchant.id).reduce((best, term) => {
+  if (term === query) return Math.max(best, 3);
+  if (term.startsWith(query)) return Math.max(best, 2);
+  if (term.includes(query)) return Math.max(best, 1);
+  return best;
+}, 0);
+
+const merchantService = {
+  getMerchant(merchantId) {
+    const merchant = merchantsById.get(merchantId);
+    return merchant ? toPublicMerchant(merchant) : null;
+  },
+
+  /**
+   * Merchant a free-text store name refers to (exact name or alias), or null
+   */
+  findByStoreName(storeName) {
+    const merchant = merchantsByTerm.get(normalizeStoreName(storeName));
+    return merchant ? toPublicMerchant(merchant) : null;
+  },
+
+  /**
+   * merchantId for a card/listing - an explicit known merchantId wins, otherwise the store name is resolved
+   * @param {{merchantId?: string, storeName?: string}} data
+   * @returns {string|null}
+   */
+  resolveMerchantId({ merchantId, storeName } = {}) {
+    if (merchantId && merchantsById.has(merchantId)) {
+      return merchantId;
+    }
+    return merchantsByTerm.get(normalizeStoreName(storeName))?.id || null;
+  },
+
+  /**
+   * Symbology the merchant's checkout scans - Code 128 for stores that aren't in the catalog
+   */
+  getBarcodeFormat(merchantId) {
+    return merchantsById.get(merchantId)?.barcodeFormat || DEFAULT_BARCODE_FORMAT;
+  },
+
+  /**
+   * Merchants matching a name (Hebrew or English, any alias), best matches first
+   * @param {{query?: string, category?: string, limit?: number}} options
+   */
+  search({ query, category, limit = 20 } = {}) {
+    const normalizedQuery = normalizeStoreName(query);
+    return merchants
+      .filter(merchant => !category || merchant.category === category)
+      .map(merchant => ({ merchant, score: normalizedQuery ? matchScore(merchant, normalizedQuery) : 1 }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.merchant.name.localeCompare(b.merchant.name))
+      .slice(0, limit)
+      .map(({ merchant }) => toPublicMerchant(merchant));
+  },
+
+  /**
+   * Suggestions while the user types a store name - prefix matches only, compact shape
+   */
+  autocomplete(prefix, limit = 8) {
+    const normalizedPrefix = normalizeStoreName(prefix);
+    if (!normalizedPrefix) {
+      return [];
+    }
+    return merchants
+      .filter(merchant => matchScore(merchant, normalizedPrefix) >= 2)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map((merchant) => {
+        const { id, name, nameHe, category, logoUrl } = toPublicMerchant(merchant);
+        return { id, name, nameHe, category, logoUrl };
+      });
+  },
+
+  getCategories() {
+    return MERCHANT_CATEGORIES.map(category => ({
+      id: category,
+      merchantCount: merchants.filter(merchant => merchant.category === category).length,
+    }));
+  },
+};
+
+module.exports = { merchantService, normalizeStoreName, MERCHANT_CATEGORIES };
@@ -0,0 +1,87 @@
+// Payment providers for marketplace purchases. A provider charges the buyer into escrow (the platform holds the money),
+// then either pays the held amount out to the seller or refunds it to the buyer.
+// Only the mock provider exists so far - a real one implements the same three methods.
+// release and refund must be idempotent: a payment whose status update failed after the provider call is retried.
+
+const crypto = require('crypto');
+
+const PAYMENT_CONFIG = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+};
+
+// Mock payment methods that are declined, for testing the failure paths offline
+const MOCK_DECLINED_PREFIX = 'pm_mock_decline';
+
+/**
+ * Mock provider (local development/tests) - no money moves, payments only live in memory.
+ * Every payment method is accepted except ids starting with "pm_mock_decline". Payments it doesn't know
+ * (charged before a restart, or by another process) are treated as held.
+ */
+const createMockPaymentProvider = () => {
+  const payments = new Map();
+
+  // Move a held payment to `status` - doing it again is a no-op, anything else is an error
+  const settle = (providerPaymentId, status) => {
+    if (!payments.has(providerPaymentId)) {
+      payments.set(providerPaymentId, { id: providerPaymentId, status: 'held' });
+    }
+    const payment = payments.get(providerPaymentId);
+    if (payment.status !== 'held' && payment.status !== status) {
+      throw new Error(`Payment ${providerPaymentId} is ${payment.status}`);
+    }
+    payment.status = status;
+    return payment;
+  };
+
+  return {
+    name: 'mock',
+
+    /**
+     * Charge the buyer and hold the money
+     * @param {{amount: number, currency: string, paymentMethodId: string, reference: string}} charge
+     *   reference is our payment id - charging the same reference twice returns the first charge
+     * @returns {Promise<{status: 'held'|'declined', providerPaymentId?: string, declineReason?: string}>}
+     */
+    async charge({ amount, currency, paymentMethodId, reference }) {
+      const existing = [...payments.values()].find(payment => payment.reference === reference);
+      if (existing) {
+        return { status: 'held', providerPaymentId: existing.id };
+      }
+      if (paymentMethodId.startsWith(MOCK_DECLINED_PREFIX)) {
+        return { status: 'declined', declineReason: 'Card declined (mock)' };
+      }
+
+      const id = `mock_pay_${crypto.randomUUID()}`;
+      payments.set(id, { id, reference, amount, currency, status: 'held' });
+      console.log('💳 Mock payment held:', { id, amount, currency });
+      return { status: 'held', providerPaymentId: id };
+    },
+
+    /**
+     * Pay the held money out to the seller
+     */
+    async release({ providerPaymentId, payeeId }) {
+      const payment = settle(providerPaymentId, 'released');
+      console.log('💸 Mock payment released:', { id: providerPaymentId, payeeId, amount: payment.amount });
+      return { status: 'released' };
+    },
+
+    /**
+     * Give the held money back to the buyer
+     */
+    async refund({ providerPaymentId }) {
+      const payment = settle(providerPaymentId, 'refunded');
+      console.log('↩️ Mock payment refunded:', { id: providerPaymentId, amount: payment.amount });
+      return { status: 'refunded' };
+    },
+  };
+};
+
+const createPaymentProvider = () => {
+  if (PAYMENT_CONFIG.provider === 'mock') {
+    return createMockPaymentProvider();
+  }
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${PAYMENT_CONFIG.provider}`);
+};
+
+module.exports = { createPaymentProvider, createMockPaymentProvider, PAYMENT_CONFIG };
@@ -0,0 +1,349 @@
+// Marketplace payments with escrow. The buyer is charged when buying and the money is held until the buyer
+// confirms the card works, or until ESCROW_CONFIRMATION_HOURS pass - then it is paid out to the seller.
+// A disputed payment stays held until support resolves it (scripts/resolve-dispute.js): paid out or refunded.
+//
+// Payment status:
+//   held -> releasing -> released             confirmed, or the confirmation window ended
+//   held -> disputed -> releasing | refunding  resolved by support
+//   refunding -> refunded                      the dispute was decided for the buyer, or the purchase itself failed
+// `releasing` and `refunding` are claimed before calling the provider. A payment left in one of them (the provider
+// call or the status update failed) is retried by the release job - provider calls are idempotent.
+
+const crypto = require('crypto');
+const { dynamodb, TABLES, INDEXES, marketplaceService, notificationService } = require('./aws');
+const { executeCloudOperation } = require('./cloudUtils');
+const { queryAll } = require('./queryUtils');
+const { currencyService } = require('./currencyService');
+const { createPaymentProvider } = require('./paymentProvider');
+const { GetCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const ESCROW_CONFIG = {
+  confirmationHours: parseInt(process.env.ESCROW_CONFIRMATION_HOURS) || 72,
+  // A payment still releasing/refunding after this long is retried
+  retryAfterMinutes: parseInt(process.env.ESCROW_RETRY_AFTER_MINUTES) || 15,
+};
+
+// Where each settlement goes: the claimed (pending) status and the final one
+const SETTLEMENTS = {
+  release: { pending: 'releasing', done: 'released', doneAt: 'releasedAt' },
+  refund: { pending: 'refunding', done: 'refunded', doneAt: 'refundedAt' },
+};
+
+const isConditionFailure = (error) => error.name === 'ConditionalCheckFailedException';
+
+// Move a payment from one status to the next, only if nobody else moved it first
+const setStatus = async (payment, from, to, fields = {}) => {
+  const values = { ...fields, updatedAt: new Date().toISOString() };
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: TABLES.PAYMENTS,
+    Key: { id: payment.id },
+    UpdateExpression: `SET #status = :to, ${Object.keys(values).map(key => `${key} = :${key}`).join(', ')}`,
+    ConditionExpression: '#status = :from',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':from': from,
+      ':to': to,
+      ...Object.fromEntries(Object.entries(values).map(([key, value]) => [`:${key}`, value])),
+    },
+    ReturnValues: 'ALL_NEW',
+  }));
+  return result.Attributes;
+};
+
+const notifySettlement = async (payment, action) => {
+  const notification = action === 'release'
+    ? {
+      userId: payment.sellerId,
+      type: 'marketplace_payout',
+      title: 'You got paid',
+      message: `The ${payment.amount} ${payment.currency} for your gift card sale were released to you.`,
+    }
+    : {
+      userId: payment.buyerId,
+      type: 'marketplace_refund',
+      title: 'You got a refund',
+      message: `The ${payment.amount} ${payment.currency} you paid for a gift card were refunded.`,
+    };
+  const result = await notificationService.createNotification({
+    id: crypto.randomUUID(),
+    ...notification,
+    data: { paymentId: payment.id, listingId: payment.listingId },
+  });
+  if (!result.success) {
+    console.error(`❌ Failed to send ${notification.type} notification:`, result.error);
+  }
+};
+
+const paymentService = {
+  // Replaceable so tests can use their own provider
+  provider: createPaymentProvider(),
+
+  /**
+   * Buy a listing: charge the buyer into escrow, then run the purchase. If the purchase fails the charge is refunded.
+   * Refusals are flagged like in marketplaceService.getPurchasableListing, declined payments with `declined: true`.
+   */
+  async purchase(listingId, buyerId, paymentMethodId) {
+    const purchasable = await marketplaceService.getPurchasableListing(listingId, buyerId);
+    if (!purchasable.success) {
+      return purchasable;
+    }
+    const { listing } = purchasable;
+
+    const now = new Date();
+    const payment = {
+      id: `pay_${crypto.randomUUID()}`,
+      listingId,
+      giftCardId: listing.giftCardId,
+      buyerId,
+      sellerId: listing.sellerId,
+      amount: listing.price,
+      currency: currencyService.currencyOf(listing),
+      provider: this.provider.name,
+      status: 'held',
+      confirmBy: new Date(now.getTime() + ESCROW_CONFIG.confirmationHours * HOUR_MS).toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    const charge = await this.provider.charge({
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethodId,
+      reference: payment.id,
+    });
+    if (charge.status !== 'held') {
+      return { success: false, error: `Payment declined: ${charge.declineReason}`, declined: true };
+    }
+    payment.providerPaymentId = charge.providerPaymentId;
+
+    const result = await marketplaceService.purchaseGiftCard(listingId, buyerId, { payment });
+    if (result.success) {
+      return { ...result, payment: { ...payment, transactionId: result.transaction.id } };
+    }
+    return this.refundFailedPurchase(payment, result);
+  },
+
+  /**
+   * Give the buyer's money back after purchaseGiftCard failed. The payment is recorded as `refunding` first:
+   * after an unclear failure (e.g. a timeout) the purchase may have committed, and then its payment record
+   * already exists - the purchase stands and nothing is refunded.
+   */
+  async refundFailedPurchase(payment, purchaseResult) {
+    const refused = purchaseResult.notFound || purchaseResult.forbidden || purchaseResult.conflict;
+    const refunding = {
+      ...payment,
+      status: 'refunding',
+      failureReason: purchaseResult.error,
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      await dynamodb.send(new PutCommand({
+        TableName: TABLES.PAYMENTS,
+        Item: refunding,
+        ConditionExpression: 'attribute_not_exists(id)',
+      }));
+    } catch (error) {
+      if (isConditionFailure(error)) {
+        const stored = await this.getPayment(payment.id);
+        if (stored.success && stored.payment) {
+          console.warn('⚠️ Purchase reported a failure but was committed:', { paymentId: payment.id });
+          return { success: true, payment: stored.payment };
+        }
+      }
+      // Without a record only a refused purchase is certainly not committed - refund it anyway
+      console.error(`❌ Failed to record the refund of ${payment.id}:`, error);
+      if (refused) {
+        await this.provider.refund({ providerPaymentId: payment.providerPaymentId })
+          .catch(refundError => console.error(`❌ Refund of ${payment.id} failed:`, refundError));
+      } else {
+        console.error(`❌ Payment ${payment.id} (${payment.providerPaymentId}) is held without a record - needs manual follow-up`);
+      }
+      return purchaseResult;
+    }
+
+    const refund = await this.finishSettlement(refunding, 'refund');
+    if (!refund.success) {
+      // The payment stays `refunding` and the release job retries it
+      console.error(`❌ Refund of ${payment.id} failed after a failed purchase:`, refund.error);
+    }
+    return purchaseResult;
+  },
+
+  async getPayment(paymentId) {
+    return executeCloudOperation(
+      async () => {
+        const result = await dynamodb.send(new GetCommand({
+          TableName: TABLES.PAYMENTS,
+          Key: { id: paymentId },
+        }));
+        return { payment: result.Item };
+      },
+      'get payment'
+    );
+  },
+
+  /**
+   * The buyer confirms the card works - the seller is paid right away
+   */
+  async confirm(payment) {
+    if (payment.status !== 'held') {
+      return { success: false, error: `Payment is ${payment.status}`, conflict: true };
+    }
+    return this.release(payment, { confirmedAt: new Date().toISOString() });
+  },
+
+  /**
+   * The buyer reports that the card doesn't work - the money stays held and isn't released automatically
+   */
+  async dispute(payment, reason) {
+    if (payment.status !== 'held') {
+      return { success: false, error: `Payment is ${payment.status}`, conflict: true };
+    }
+    return executeCloudOperation(
+      async () => {
+        try {
+          const updated = await setStatus(payment, 'held', 'disputed', {
+            disputedAt: new Date().toISOString(),
+            disputeReason: reason || null,
+          });
+          console.warn('⚠️ Payment disputed:', { paymentId: payment.id, listingId: payment.listingId });
+          return { payment: updated };
+        } catch (error) {
+          if (isConditionFailure(error)) return { success: false, error: 'Payment is no longer held', conflict: true };
+          throw error;
+        }
+      },
+      'dispute payment'
+    );
+  },
+
+  /**
+   * Support's decision on a disputed payment: pay the seller ('release') or give the buyer the money back ('refund')
+   */
+  async resolveDispute(payment, outcome, note = null) {
+    if (payment.status !== 'disputed') {
+      return { success: false, error: `Payment is ${payment.status}`, conflict: true };
+    }
+    return this.settle(payment, 'disputed', outcome, { resolvedAt: new Date().toISOString(), resolutionNote: note });
+  },
+
+  /**
+   * Pay the held money out to the seller
+   */
+  async release(payment, fields = {}) {
+    return this.settle(payment, 'held', 'release', fields);
+  },
+
+  /**
+   * Claim the payment as releasing/refunding so a confirmation and the release job can't both settle it,
+   * then settle it with the provider
+   */
+  async settle(payment, from, action, fields = {}) {
+    const { pending } = SETTLEMENTS[action];
+    const claimed = await executeCloudOperation(
+      async () => {
+        try {
+          return { payment: await setStatus(payment, from, pending, fields) };
+        } catch (error) {
+          if (isConditionFailure(error)) return { success: false, error: `Payment is no longer ${from}`, conflict: true };
+          throw error;
+        }
+      },
+      `claim payment for ${action}`
+    );
+    if (!claimed.success) {
+      return claimed;
+    }
+    return this.finishSettlement(claimed.payment, action);
+  },
+
+  /**
+   * Provider side of a claimed payment, then its final status. Also resumes payments left releasing/refunding.
+   */
+  async finishSettlement(payment, action) {
+    const { pending, done, doneAt } = SETTLEMENTS[action];
+    return executeCloudOperation(
+      async () => {
+        if (action === 'release') {
+          await this.provider.release({ providerPaymentId: payment.providerPaymentId, payeeId: payment.sellerId });
+        } else {
+          await this.provider.refund({ providerPaymentId: payment.providerPaymentId });
+        }
+        let updated;
+        try {
+          updated = await setStatus(payment, pending, done, { [doneAt]: new Date().toISOString() });
+        } catch (error) {
+          // Finished by a concurrent retry
+          if (isConditionFailure(error)) return { success: false, error: `Payment is no longer ${pending}`, conflict: true };
+          throw error;
+        }
+
+        await notifySettlement(payment, action);
+        console.log(`💸 Payment ${done}:`, { paymentId: payment.id, listingId: payment.listingId });
+        return { payment: updated };
+      },
+      `${action} payment`,
+      { maxRetries: 0 }
+    );
+  },
+
+  /**
+   * Held payments whose confirmation window has ended
+   */
+  async getDuePayments(now = new Date()) {
+    return executeCloudOperation(
+      async () => {
+        const payments = await queryAll(dynamodb, {
+          TableName: TABLES.PAYMENTS,
+          IndexName: INDEXES.PAYMENTS_BY_STATUS,
+          KeyConditionExpression: '#status = :held AND confirmBy <= :now',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':held': 'held', ':now': now.toISOString() },
+        });
+        return { payments };
+      },
+      'get due payments'
+    );
+  },
+
+  /**
+   * Payments left releasing/refunding for longer than ESCROW_RETRY_AFTER_MINUTES
+   */
+  async getStuckPayments(now = new Date()) {
+    const before = new Date(now.getTime() - ESCROW_CONFIG.retryAfterMinutes * MINUTE_MS).toISOString();
+    return executeCloudOperation(
+      async () => {
+        const payments = [];
+        for (const { pending } of Object.values(SETTLEMENTS)) {
+          payments.push(...await queryAll(dynamodb, {
+            TableName: TABLES.PAYMENTS,
+            IndexName: INDEXES.PAYMENTS_BY_STATUS,
+            KeyConditionExpression: '#status = :pending',
+            FilterExpression: 'updatedAt <= :before',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':pending': pending, ':before': before },
+          }));
+        }
+        return { payments };
+      },
+      'get stuck payments'
+    );
+  },
+
+  /**
+   * Retry a payment from getStuckPayments
+   */
+  async resume(payment) {
+    const action = Object.keys(SETTLEMENTS).find(key => SETTLEMENTS[key].pending === payment.status);
+    if (!action) {
+      return { success: false, error: `Payment is ${payment.status}`, conflict: true };
+    }
+    return this.finishSettlement(payment, action);
+  },
+};
+
+module.exports = { paymentService, ESCROW_CONFIG };
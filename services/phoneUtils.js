@@ -0,0 +1,35 @@
+// Phone number utilities - every phone number is stored and compared in canonical E.164 (+972549369402)
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Country assumed for numbers typed without a country code (ISO 3166-1 alpha-2)
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'IL';
+
+/**
+ * Parse and validate a phone number from any country
+ * @param {string} input - Number as typed by the user (local, international, with spaces/dashes...)
+ * @param {string} [defaultCountry] - Country for numbers without a country code
+ * @returns {{valid: boolean, e164?: string, country?: string, error?: string}}
+ */
+const parsePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { valid: false, error: 'Phone number required' };
+  }
+
+  const parsed = parsePhoneNumberFromString(input.trim(), (defaultCountry || DEFAULT_PHONE_COUNTRY).toUpperCase());
+  if (!parsed || !parsed.isValid()) {
+    return { valid: false, error: 'Invalid phone number' };
+  }
+
+  return { valid: true, e164: parsed.number, country: parsed.country };
+};
+
+/**
+ * Canonical E.164 form of a phone number, or null if it isn't a valid number
+ */
+const normalizePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const result = parsePhone(input, defaultCountry);
+  return result.valid ? result.e164 : null;
+};
+
+module.exports = { parsePhone, normalizePhone, DEFAULT_PHONE_COUNTRY };
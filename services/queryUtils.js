@@ -0,0 +1,110 @@
+// DynamoDB query helpers - index-backed reads with opaque cursor pagination
+
+const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const PAGE_CONFIG = {
+  defaultLimit: parseInt(process.env.PAGE_DEFAULT_LIMIT) || 50,
+  maxLimit: parseInt(process.env.PAGE_MAX_LIMIT) || 100,
+};
+
+// A cursor is the LastEvaluatedKey of the previous page, base64url-encoded so clients treat it as opaque
+const encodeCursor = (lastKey) => (
+  lastKey ? Buffer.from(JSON.stringify(lastKey)).toString('base64url') : null
+);
+
+/**
+ * Decode a cursor from encodeCursor
+ * @returns {object|null} The start key, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return key && typeof key === 'object' && !Array.isArray(key) ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Run a Query and follow LastEvaluatedKey until every matching item is read
+ * @param {object} params - QueryCommand input
+ */
+const queryAll = async (dynamodb, params) => {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(new QueryCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+};
+
+const readPage = async (dynamodb, Command, params, { limit, cursor } = {}) => {
+  const startKey = cursor ? decodeCursor(cursor) : undefined;
+  if (startKey === null) {
+    const error = new Error('Invalid cursor');
+    error.name = 'ValidationException'; // Not retryable
+    throw error;
+  }
+
+  const result = await dynamodb.send(new Command({
+    ...params,
+    Limit: Math.min(limit || PAGE_CONFIG.defaultLimit, PAGE_CONFIG.maxLimit),
+    ExclusiveStartKey: startKey,
+  }));
+  return { items: result.Items || [], nextCursor: encodeCursor(result.LastEvaluatedKey) };
+};
+
+/**
+ * Read one page of a Query.
+ * With a FilterExpression a page can hold fewer than `limit` items (even none) while nextCursor is still set.
+ * @param {object} params - QueryCommand input
+ * @param {{limit?: number, cursor?: string}} page
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+const queryPage = (dynamodb, params, page) => readPage(dynamodb, QueryCommand, params, page);
+
+/**
+ * Read one page of a Scan - for searches no index can serve. Pages behave like queryPage's.
+ * @param {object} params - ScanCommand input
+ * @param {{limit?: number, cursor?: string}} page
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+const scanPage = (dynamodb, params, page) => readPage(dynamodb, ScanCommand, params, page);
+
+/**
+ * One page when `page` is given (list endpoints), every item otherwise (internal callers)
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+const queryItems = async (dynamodb, params, page = null) => (
+  page ? queryPage(dynamodb, params, page) : { items: await queryAll(dynamodb, params), nextCursor: null }
+);
+
+/**
+ * Page options from a list endpoint's query string (?limit=20&cursor=...)
+ */
+const pageFromQuery = (query) => ({
+  limit: query.limit ? Number(query.limit) : undefined,
+  cursor: query.cursor || undefined,
+});
+
+/**
+ * First item matching a Query, or null - for lookups on a unique attribute (email, phone...)
+ */
+const queryFirst = async (dynamodb, params) => {
+  const items = await queryAll(dynamodb, params);
+  return items[0] || null;
+};
+
+module.exports = {
+  PAGE_CONFIG,
+  encodeCursor,
+  decodeCursor,
+  queryAll,
+  queryPage,
+  scanPage,
+  queryItems,
+  queryFirst,
+  pageFromQuery,
+};
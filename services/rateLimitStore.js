@@ -0,0 +1,127 @@
+const { dynamodb, TABLES } = require('./aws');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Counter storage for rate limiting and brute-force lockout.
+// Every store implements:
+//   increment(key, ttlSeconds) -> new count (atomic; the key expires ttlSeconds after creation)
+//   get(key)                   -> stored value or null
+//   set(key, value, ttlSeconds)
+//   delete(key)
+
+/**
+ * In-memory store - for development and single-instance deployments only
+ */
+const createMemoryRateLimitStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && Date.now() > entry.expiresAt) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const store = {
+    async increment(key, ttlSeconds) {
+      const entry = read(key) || { count: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+      entry.count += 1;
+      entries.set(key, entry);
+      return entry.count;
+    },
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value ?? null : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    cleanupExpired() {
+      const now = Date.now();
+      for (const [key, entry] of entries.entries()) {
+        if (now > entry.expiresAt) {
+          entries.delete(key);
+        }
+      }
+    },
+  };
+
+  // Clean up expired counters every minute (doesn't keep the process alive)
+  setInterval(() => store.cleanupExpired(), 60000).unref();
+
+  return store;
+};
+
+/**
+ * DynamoDB store - shared by every server instance.
+ * Expired items are removed by the table's TTL on the `ttl` attribute.
+ */
+const createDynamoRateLimitStore = (tableName = TABLES.RATE_LIMITS) => {
+  const expiryFor = (ttlSeconds) => Math.floor(Date.now() / 1000) + ttlSeconds;
+  const isExpired = (item) => !item || item.ttl <= Math.floor(Date.now() / 1000);
+
+  return {
+    async increment(key, ttlSeconds) {
+      const params = {
+        TableName: tableName,
+        Key: { id: key },
+        UpdateExpression: 'ADD #count :one SET #ttl = if_not_exists(#ttl, :ttl)',
+        ExpressionAttributeNames: { '#count': 'count', '#ttl': 'ttl' },
+        ExpressionAttributeValues: { ':one': 1, ':ttl': expiryFor(ttlSeconds) },
+        ReturnValues: 'ALL_NEW',
+      };
+      const result = await dynamodb.send(new UpdateCommand(params));
+
+      // TTL deletion is lazy - an expired counter is restarted instead of reused
+      if (isExpired(result.Attributes)) {
+        await dynamodb.send(new PutCommand({
+          TableName: tableName,
+          Item: { id: key, count: 1, ttl: expiryFor(ttlSeconds) },
+        }));
+        return 1;
+      }
+
+      return result.Attributes.count;
+    },
+
+    async get(key) {
+      const result = await dynamodb.send(new GetCommand({
+        TableName: tableName,
+        Key: { id: key },
+        ConsistentRead: true,
+      }));
+      return isExpired(result.Item) ? null : result.Item.value ?? null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await dynamodb.send(new PutCommand({
+        TableName: tableName,
+        Item: { id: key, value, ttl: expiryFor(ttlSeconds) },
+      }));
+    },
+
+    async delete(key) {
+      await dynamodb.send(new DeleteCommand({
+        TableName: tableName,
+        Key: { id: key },
+      }));
+    },
+  };
+};
+
+// RATE_LIMIT_STORE=memory for local development, DynamoDB otherwise
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory'
+  ? createMemoryRateLimitStore()
+  : createDynamoRateLimitStore();
+
+console.log('🚦 Rate limit store:', process.env.RATE_LIMIT_STORE === 'memory' ? 'memory' : 'dynamodb');
+
+module.exports = { rateLimitStore, createMemoryRateLimitStore, createDynamoRateLimitStore };
@@ -0,0 +1,217 @@
+const { dynamodb, TABLES, INDEXES } = require('./aws');
+const { queryAll } = require('./queryUtils');
+const { v4: uuidv4 } = require('uuid');
+const { GetCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+
+// Refresh tokens slide forward on every rotation, so an active device stays signed in
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Refresh tokens look like "<sessionId>.<secret>" - only the hash of the full token is stored
+ */
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId };
+};
+
+const getExpiry = () => {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return {
+    expiresAt: expiresAt.toISOString(),
+    ttl: Math.floor(expiresAt.getTime() / 1000), // DynamoDB TTL attribute (epoch seconds)
+  };
+};
+
+const isActive = (session) => {
+  return session && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+};
+
+// Fields safe to show in the "active devices" list
+const toPublicSession = (session, currentSessionId) => ({
+  id: session.id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId,
+});
+
+// Query for every session (active or not) of a user
+const sessionsOfUser = (userId) => ({
+  TableName: TABLES.SESSIONS,
+  IndexName: INDEXES.SESSIONS_BY_USER,
+  KeyConditionExpression: 'userId = :userId',
+  ExpressionAttributeValues: { ':userId': userId },
+});
+
+const sessionService = {
+  /**
+   * Start a new session for a device
+   * @param {string} userId - User the session belongs to
+   * @param {{deviceName?: string, userAgent?: string, ipAddress?: string}} device - Device info
+   * @returns {Promise<{success: boolean, sessionId?: string, refreshToken?: string, error?: string}>}
+   */
+  async createSession(userId, device = {}) {
+    try {
+      const sessionId = uuidv4();
+      const refreshToken = generateRefreshToken(sessionId);
+      const now = new Date().toISOString();
+
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Item: {
+          id: sessionId,
+          userId,
+          refreshTokenHash: hashToken(refreshToken),
+          deviceName: device.deviceName || null,
+          userAgent: device.userAgent || null,
+          ipAddress: device.ipAddress || null,
+          createdAt: now,
+          lastUsedAt: now,
+          ...getExpiry(),
+        },
+        ConditionExpression: 'attribute_not_exists(id)',
+      };
+      await dynamodb.send(new PutCommand(params));
+
+      return { success: true, sessionId, refreshToken };
+    } catch (error) {
+      console.error('Create session error:', error);
+      return { success: false, error: 'Failed to create session' };
+    }
+  },
+
+  /**
+   * Exchange a refresh token for a new one (rotation).
+   * Presenting a token that was already rotated away means it leaked - the whole session is revoked.
+   * @returns {Promise<{success: boolean, userId?: string, sessionId?: string, refreshToken?: string, error?: string}>}
+   */
+  async rotateRefreshToken(refreshToken, device = {}) {
+    try {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) {
+        return { success: false, error: 'Invalid refresh token' };
+      }
+
+      const result = await dynamodb.send(new GetCommand({
+        TableName: TABLES.SESSIONS,
+        Key: { id: parsed.sessionId },
+      }));
+      const session = result.Item;
+
+      if (!isActive(session)) {
+        return { success: false, error: 'Session expired or revoked' };
+      }
+
+      const presentedHash = hashToken(refreshToken);
+      if (presentedHash !== session.refreshTokenHash) {
+        console.warn('⚠️ Refresh token reuse detected, revoking session:', session.id);
+        await this.revokeSession(session.userId, session.id, 'refresh_token_reuse');
+        return { success: false, error: 'Session expired or revoked' };
+      }
+
+      const newRefreshToken = generateRefreshToken(session.id);
+      const { expiresAt, ttl } = getExpiry();
+
+      try {
+        await dynamodb.send(new UpdateCommand({
+          TableName: TABLES.SESSIONS,
+          Key: { id: session.id },
+          UpdateExpression: 'SET refreshTokenHash = :newHash, lastUsedAt = :now, expiresAt = :expiresAt, #ttl = :ttl, ipAddress = :ipAddress, userAgent = :userAgent',
+          ConditionExpression: 'refreshTokenHash = :oldHash AND attribute_not_exists(revokedAt)',
+          ExpressionAttributeNames: { '#ttl': 'ttl' },
+          ExpressionAttributeValues: {
+            ':newHash': hashToken(newRefreshToken),
+            ':oldHash': presentedHash,
+            ':now': new Date().toISOString(),
+            ':expiresAt': expiresAt,
+            ':ttl': ttl,
+            ':ipAddress': device.ipAddress || session.ipAddress || null,
+            ':userAgent': device.userAgent || session.userAgent || null,
+          },
+        }));
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          // Another request rotated (or revoked) this token first - treat it as reuse
+          console.warn('⚠️ Concurrent refresh token use detected, revoking session:', session.id);
+          await this.revokeSession(session.userId, session.id, 'refresh_token_reuse');
+          return { success: false, error: 'Session expired or revoked' };
+        }
+        throw error;
+      }
+
+      return { success: true, userId: session.userId, sessionId: session.id, refreshToken: newRefreshToken };
+    } catch (error) {
+      console.error('Rotate refresh token error:', error);
+      return { success: false, error: 'Failed to refresh session' };
+    }
+  },
+
+  async listSessions(userId, currentSessionId = null) {
+    try {
+      const items = await queryAll(dynamodb, sessionsOfUser(userId));
+      const sessions = items
+        .filter(isActive)
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+        .map(session => toPublicSession(session, currentSessionId));
+      return { success: true, sessions };
+    } catch (error) {
+      console.error('List sessions error:', error);
+      return { success: false, error: 'Failed to list sessions' };
+    }
+  },
+
+  async revokeSession(userId, sessionId, reason = 'logout') {
+    try {
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Key: { id: sessionId },
+        UpdateExpression: 'SET revokedAt = :now, revokedReason = :reason',
+        ConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':reason': reason,
+          ':userId': userId,
+        },
+      };
+      await dynamodb.send(new UpdateCommand(params));
+      return { success: true };
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return { success: false, error: 'Session not found' };
+      }
+      console.error('Revoke session error:', error);
+      return { success: false, error: 'Failed to revoke session' };
+    }
+  },
+
+  /**
+   * Revoke every active session of a user, optionally keeping the current one
+   */
+  async revokeAllSessions(userId, { exceptSessionId = null, reason = 'revoke_all' } = {}) {
+    try {
+      const items = await queryAll(dynamodb, sessionsOfUser(userId));
+      const toRevoke = items.filter(s => isActive(s) && s.id !== exceptSessionId);
+
+      await Promise.all(toRevoke.map(s => this.revokeSession(userId, s.id, reason)));
+      console.log(`🔒 Revoked ${toRevoke.length} session(s) for user ${userId}`);
+      return { success: true, revoked: toRevoke.length };
+    } catch (error) {
+      console.error('Revoke all sessions error:', error);
+      return { success: false, error: 'Failed to revoke sessions' };
+    }
+  },
+};
+
+module.exports = sessionService;
@@ -1,4 +1,5 @@
 const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { codeStore } = require('./codeStore');
 
 // AWS SNS Configuration
 const AWS_CONFIG = {
@@ -29,16 +30,40 @@ console.log('📱 SMS Service Config:', {
   hasSecretKey: !!(AWS_CONFIG.credentials.secretAccessKey),
 });
 
-// Generate 6-digit OTP code
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// OTP codes live in the shared code store (hashed, attempt-limited, single use)
+const OTP_PURPOSE = 'phone-otp';
+const OTP_OPTIONS = {
+  ttlSeconds: 5 * 60, // 5 minutes
+  maxAttempts: 5,
 };
 
-// Store OTP codes in memory (in production, use Redis or DynamoDB)
-const otpStore = new Map();
-
 // SMS Service
 const smsService = {
+  /**
+   * Send a plain text SMS
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @param {string} message - Message text
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, message) {
+    if (!AWS_ENABLED) {
+      console.error('❌ AWS SNS not configured');
+      return { success: false, error: 'SMS service not configured' };
+    }
+
+    try {
+      const response = await snsClient.send(new PublishCommand({
+        Message: message,
+        PhoneNumber: phoneNumber,
+      }));
+      console.log(`✅ SMS sent to ${phoneNumber} via AWS SNS`, { messageId: response.MessageId });
+      return { success: true, messageId: response.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending SMS:', error);
+      return { success: false, error: 'Failed to send SMS' };
+    }
+  },
+
   /**
    * Send OTP via SMS
    * @param {string} phoneNumber - Phone number to send OTP to
@@ -82,14 +107,8 @@ const smsService = {
         return { success: true, needsRegistration: true };
       }
       
-      // User exists - send OTP code
-      const code = generateOTP();
-      
-      // Store OTP with 5 minute expiration
-      otpStore.set(phoneNumber, {
-        code,
-        expiresAt: Date.now() + 5 * 60 * 1000, // 5 minutes
-      });
+      // User exists - send OTP code (stored with 5 minute expiration)
+      const code = await codeStore.issue(OTP_PURPOSE, phoneNumber, OTP_OPTIONS);
 
       const message = `Your ZIKO verification code is: ${code}`;
 
@@ -188,55 +207,23 @@ const smsService = {
   },
 
   /**
-   * Verify OTP code
+   * Verify OTP code (each code can be used once, with a limited number of attempts)
    * @param {string} phoneNumber - Phone number
    * @param {string} code - OTP code to verify
-   * @returns {boolean} - True if code is valid
+   * @returns {Promise<boolean>} - True if code is valid
    */
-  verifyOTP(phoneNumber, code) {
-    const storedData = otpStore.get(phoneNumber);
-    
-    if (!storedData) {
-      console.log('❌ No OTP found for phone number');
-      return false;
-    }
+  async verifyOTP(phoneNumber, code) {
+    const result = await codeStore.verify(OTP_PURPOSE, phoneNumber, code);
 
-    // Check expiration
-    if (Date.now() > storedData.expiresAt) {
-      console.log('❌ OTP expired');
-      otpStore.delete(phoneNumber);
+    if (!result.valid) {
+      console.log('❌ OTP verification failed:', result.reason);
       return false;
     }
 
-    // Verify code
-    if (storedData.code !== code) {
-      console.log('❌ Invalid OTP code');
-      return false;
-    }
-
-    // Remove used OTP
-    otpStore.delete(phoneNumber);
     console.log('✅ OTP verified successfully');
     return true;
   },
-
-  /**
-   * Clean up expired OTPs (call this periodically)
-   */
-  cleanupExpiredOTPs() {
-    const now = Date.now();
-    for (const [phoneNumber, data] of otpStore.entries()) {
-      if (now > data.expiresAt) {
-        otpStore.delete(phoneNumber);
-      }
-    }
-  },
 };
 
-// Clean up expired OTPs every minute
-setInterval(() => {
-  smsService.cleanupExpiredOTPs();
-}, 60000);
-
 module.exports = smsService;
 
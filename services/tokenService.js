@@ -0,0 +1,115 @@
+const jwt = require('jsonwebtoken');
+
+// Token configuration (from environment variables, only on server!)
+const TOKEN_CONFIG = {
+  secret: process.env.JWT_SECRET,
+  issuer: process.env.JWT_ISSUER || 'ziko-backend',
+  accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60, // 15 minutes
+  challengeTokenTtl: 5 * 60, // 5 minutes to type the 2FA code
+};
+
+if (!TOKEN_CONFIG.secret) {
+  console.error('❌ JWT_SECRET not configured - access tokens cannot be issued or verified');
+}
+
+const tokenService = {
+  /**
+   * Issue a signed access token for a user
+   * @param {object} user - User record (only the id is embedded)
+   * @param {string} [sessionId] - Session the token belongs to
+   * @returns {{accessToken: string, tokenType: string, expiresIn: number}}
+   */
+  issueAccessToken(user, sessionId = null) {
+    if (!TOKEN_CONFIG.secret) {
+      throw new Error('Token signing is not configured');
+    }
+
+    const accessToken = jwt.sign({ type: 'access', sid: sessionId }, TOKEN_CONFIG.secret, {
+      algorithm: 'HS256',
+      subject: user.id,
+      issuer: TOKEN_CONFIG.issuer,
+      expiresIn: TOKEN_CONFIG.accessTokenTtl,
+    });
+
+    return {
+      accessToken,
+      tokenType: 'Bearer',
+      expiresIn: TOKEN_CONFIG.accessTokenTtl,
+    };
+  },
+
+  /**
+   * Verify an access token
+   * @param {string} token - Raw bearer token
+   * @returns {{success: boolean, userId?: string, sessionId?: string, claims?: object, error?: string}}
+   */
+  verifyAccessToken(token) {
+    if (!TOKEN_CONFIG.secret) {
+      return { success: false, error: 'Token verification is not configured' };
+    }
+
+    try {
+      const claims = jwt.verify(token, TOKEN_CONFIG.secret, {
+        algorithms: ['HS256'],
+        issuer: TOKEN_CONFIG.issuer,
+      });
+
+      if (claims.type !== 'access' || !claims.sub) {
+        return { success: false, error: 'Invalid access token' };
+      }
+
+      return { success: true, userId: claims.sub, sessionId: claims.sid || null, claims };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { success: false, error: 'Access token expired' };
+      }
+      return { success: false, error: 'Invalid access token' };
+    }
+  },
+
+  /**
+   * Issue a short-lived token proving the password step of a 2FA login succeeded.
+   * It can't be used as an access token.
+   */
+  issueChallengeToken(userId) {
+    if (!TOKEN_CONFIG.secret) {
+      throw new Error('Token signing is not configured');
+    }
+
+    return jwt.sign({ type: 'mfa_challenge' }, TOKEN_CONFIG.secret, {
+      algorithm: 'HS256',
+      subject: userId,
+      issuer: TOKEN_CONFIG.issuer,
+      expiresIn: TOKEN_CONFIG.challengeTokenTtl,
+    });
+  },
+
+  /**
+   * @returns {{success: boolean, userId?: string, error?: string}}
+   */
+  verifyChallengeToken(token) {
+    if (!TOKEN_CONFIG.secret || typeof token !== 'string') {
+      return { success: false, error: 'Invalid challenge token' };
+    }
+
+    try {
+      const claims = jwt.verify(token, TOKEN_CONFIG.secret, {
+        algorithms: ['HS256'],
+        issuer: TOKEN_CONFIG.issuer,
+      });
+
+      if (claims.type !== 'mfa_challenge' || !claims.sub) {
+        return { success: false, error: 'Invalid challenge token' };
+      }
+
+      return { success: true, userId: claims.sub };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { success: false, error: 'Challenge expired. Please sign in again.' };
+      }
+      return { success: false, error: 'Invalid challenge token' };
+    }
+  },
+};
+
+module.exports = tokenService;
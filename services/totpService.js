@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (30s steps, 6 digits, HMAC-SHA1) - what Google Authenticator & co. expect
+const TOTP_CONFIG = {
+  issuer: process.env.TOTP_ISSUER || 'ZIKO',
+  digits: 6,
+  periodSeconds: 30,
+  window: 1, // accept one step of clock drift in each direction
+  secretBytes: 20,
+  recoveryCodeCount: 10,
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value for a single time step (RFC 4226 dynamic truncation)
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_CONFIG.digits).toString().padStart(TOTP_CONFIG.digits, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_CONFIG.periodSeconds);
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+const totpService = {
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(TOTP_CONFIG.secretBytes));
+  },
+
+  /**
+   * otpauth:// URI for authenticator apps (usually shown as a QR code)
+   */
+  buildOtpAuthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_CONFIG.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_CONFIG.digits),
+      period: String(TOTP_CONFIG.periodSeconds),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  },
+
+  /**
+   * Verify a TOTP code
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code typed by the user
+   * @param {number} [lastUsedStep] - Step of the last accepted code; it and older steps are rejected (no replay)
+   * @returns {{valid: boolean, step?: number}}
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+      return { valid: false };
+    }
+
+    const step = currentStep();
+    for (let offset = -TOTP_CONFIG.window; offset <= TOTP_CONFIG.window; offset++) {
+      const candidateStep = step + offset;
+      if (candidateStep <= lastUsedStep) continue;
+
+      const expected = generateCodeForStep(secret, candidateStep);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return { valid: true, step: candidateStep };
+      }
+    }
+
+    return { valid: false };
+  },
+
+  /**
+   * Generate one-time recovery codes
+   * @returns {{codes: string[], hashes: string[]}} - codes go to the user once, only hashes are stored
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: TOTP_CONFIG.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  },
+
+  /**
+   * Find a recovery code among the stored hashes
+   * @returns {string[]|null} - Remaining hashes with the used one removed, or null if it doesn't match
+   */
+  consumeRecoveryCode(hashes = [], code) {
+    const hash = hashRecoveryCode(String(code || ''));
+    if (!hashes.includes(hash)) {
+      return null;
+    }
+    return hashes.filter(h => h !== hash);
+  },
+};
+
+module.exports = totpService;
@@ -0,0 +1,129 @@
+// Wallet summary for the home screen - remaining value, what expires soon, breakdowns by store and status,
+// and monthly spending (redemptions from the ledger and marketplace sales). All values are converted to one currency.
+
+const { giftCardService, marketplaceService } = require('./aws');
+const { ledgerService, LEDGER_TYPES } = require('./ledgerService');
+const { CARD_VIEWS } = require('./cardLifecycleService');
+const { currencyService } = require('./currencyService');
+const { merchantService, normalizeStoreName } = require('./merchantService');
+const { getExpiryTime } = require('./expiryUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ANALYTICS_CONFIG = {
+  expiringSoonDays: 30,
+  defaultMonths: 12,
+  maxMonths: 36,
+};
+
+const remainingValue = (card) => card.balance ?? card.amount;
+
+// "2026-10" for an ISO timestamp
+const monthOf = (timestamp) => String(timestamp).slice(0, 7);
+
+/**
+ * The last `count` months, oldest first, ending with the month of `now`
+ */
+const lastMonths = (count, now) => {
+  const months = [];
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  for (let i = 0; i < count; i++) {
+    months.unshift(date.toISOString().slice(0, 7));
+    date.setUTCMonth(date.getUTCMonth() - 1);
+  }
+  return months;
+};
+
+const walletAnalyticsService = {
+  /**
+   * totalValue, expiringSoon and byStore count active cards only. Cards listed on the marketplace are still the
+   * user's but are reported apart, under `listed` (and byStatus), until they are sold.
+   * @param {string} userId
+   * @param {{currency: string, months?: number, now?: Date}} options - `months` of spending history, this month included
+   */
+  async getSummary(userId, { currency, months = ANALYTICS_CONFIG.defaultMonths, now = new Date() }) {
+    const monthKeys = lastMonths(Math.min(months, ANALYTICS_CONFIG.maxMonths), now);
+    const since = `${monthKeys[0]}-01T00:00:00.000Z`;
+
+    const [cardsResult, redemptionsResult, salesResult] = await Promise.all([
+      giftCardService.getUserGiftCards(userId, null, CARD_VIEWS.wallet),
+      ledgerService.getUserTransactions(userId, { type: LEDGER_TYPES.REDEMPTION, since }),
+      marketplaceService.getSoldListings(userId, { since }),
+    ]);
+    const failed = [cardsResult, redemptionsResult, salesResult].find(result => !result.success);
+    if (failed) {
+      return failed;
+    }
+
+    const convert = (amount, item) => currencyService.convert(amount, currencyService.currencyOf(item), currency);
+    const round = (value) => Math.round(value * 100) / 100;
+    const cards = cardsResult.cards;
+    const active = cards.filter(card => card.status === 'active');
+    const listed = cards.filter(card => card.status === 'listed');
+
+    // Active cards that lapse within the window (already lapsed ones are left to the expiry job)
+    const expiringBefore = now.getTime() + ANALYTICS_CONFIG.expiringSoonDays * DAY_MS;
+    const expiring = active.filter((card) => {
+      const expiryTime = getExpiryTime(card.expiryDate);
+      return expiryTime !== null && expiryTime > now.getTime() && expiryTime <= expiringBefore;
+    });
+
+    const byStore = new Map();
+    active.forEach((card) => {
+      const key = card.merchantId || normalizeStoreName(card.storeName);
+      const store = byStore.get(key) || {
+        merchantId: card.merchantId || null,
+        storeName: merchantService.getMerchant(card.merchantId)?.name || card.storeName,
+        cards: 0,
+        value: 0,
+      };
+      store.cards++;
+      store.value = round(store.value + convert(remainingValue(card), card));
+      byStore.set(key, store);
+    });
+
+    const byStatus = {};
+    cards.forEach((card) => {
+      const status = byStatus[card.status] || { cards: 0, value: 0 };
+      status.cards++;
+      status.value = round(status.value + convert(remainingValue(card), card));
+      byStatus[card.status] = status;
+    });
+
+    const spending = new Map(monthKeys.map(month => [month, { month, redeemed: 0, sold: 0, total: 0 }]));
+    const addSpending = (timestamp, field, amount) => {
+      const entry = spending.get(monthOf(timestamp));
+      if (!entry) return;
+      entry[field] = round(entry[field] + amount);
+      entry.total = round(entry.redeemed + entry.sold);
+    };
+    redemptionsResult.transactions.forEach(txn => addSpending(txn.createdAt, 'redeemed', convert(txn.amount, txn)));
+    // A sale takes what was left on the card out of the wallet. Sales recorded before soldBalance fall back to the
+    // listed amount.
+    salesResult.listings.forEach((listing) => {
+      addSpending(listing.purchasedAt, 'sold', convert(listing.soldBalance ?? listing.amount, listing));
+    });
+
+    const sumValue = list => round(list.reduce((sum, card) => sum + convert(remainingValue(card), card), 0));
+    return {
+      success: true,
+      currency,
+      totalValue: sumValue(active),
+      activeCards: active.length,
+      expiringSoon: {
+        days: ANALYTICS_CONFIG.expiringSoonDays,
+        value: sumValue(expiring),
+        cards: expiring.length,
+      },
+      listed: {
+        value: sumValue(listed),
+        cards: listed.length,
+      },
+      byStore: [...byStore.values()].sort((a, b) => b.value - a.value),
+      byStatus,
+      spending: [...spending.values()],
+    };
+  },
+};
+
+module.exports = { walletAnalyticsService, ANALYTICS_CONFIG };
@@ -0,0 +1,122 @@
+// Search, filter, sort and total a user's own wallet.
+// A wallet holds at most a few hundred cards, so it is read through the userId index and
+// filtered/sorted in memory; pages are offsets into the sorted result.
+
+const { giftCardService } = require('./aws');
+const { merchantService, normalizeStoreName } = require('./merchantService');
+const { encodeCursor, decodeCursor, PAGE_CONFIG } = require('./queryUtils');
+const { CARD_VIEWS } = require('./cardLifecycleService');
+const { currencyService, DEFAULT_CURRENCY } = require('./currencyService');
+
+// `amount` sorts by the remaining value (balance), like the minAmount/maxAmount filters
+const WALLET_SORT_FIELDS = ['createdAt', 'expiryDate', 'amount'];
+
+// YYYY-MM-DD part of a date/ISO timestamp, for inclusive date range checks
+const toDay = (value) => (value ? String(value).slice(0, 10) : null);
+
+const matchesStore = (card, { merchantId, storeName }) => {
+  if (merchantId) {
+    return card.merchantId === merchantId;
+  }
+  // Catalog stores match every spelling, anything else is a partial name match
+  const catalogId = merchantService.resolveMerchantId({ storeName });
+  if (catalogId) {
+    return card.merchantId === catalogId || merchantService.resolveMerchantId({ storeName: card.storeName }) === catalogId;
+  }
+  return normalizeStoreName(card.storeName).includes(normalizeStoreName(storeName));
+};
+
+// What is left on a card, in the currency of the search - cards of different currencies compare on one scale
+const remainingValue = (card, currency) => (
+  currencyService.convert(card.balance ?? card.amount, currencyService.currencyOf(card), currency)
+);
+
+const buildFilter = (criteria) => (card) => {
+  if (!CARD_VIEWS[criteria.view || 'wallet'].matches(card)) return false;
+  if ((criteria.merchantId || criteria.storeName) && !matchesStore(card, criteria)) return false;
+  if (criteria.status && card.status !== criteria.status) return false;
+  if (criteria.minAmount !== undefined && !(remainingValue(card, criteria.currency) >= criteria.minAmount)) return false;
+  if (criteria.maxAmount !== undefined && !(remainingValue(card, criteria.currency) <= criteria.maxAmount)) return false;
+  if (criteria.expiresFrom || criteria.expiresTo) {
+    const day = toDay(card.expiryDate);
+    if (!day) return false;
+    if (criteria.expiresFrom && day < toDay(criteria.expiresFrom)) return false;
+    if (criteria.expiresTo && day > toDay(criteria.expiresTo)) return false;
+  }
+  return true;
+};
+
+// Cards without the sort field (e.g. no expiry date) always go last
+const buildComparator = (sort, order, currency) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const valueOf = sort === 'amount' ? card => remainingValue(card, currency) : card => card[sort] ?? null;
+  return (a, b) => {
+    const valueA = valueOf(a);
+    const valueB = valueOf(b);
+    if (valueA === valueB) return String(b.createdAt).localeCompare(String(a.createdAt));
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return (valueA < valueB ? -1 : 1) * direction;
+  };
+};
+
+const walletSearchService = {
+  /**
+   * Filter and sort a user's cards
+   * @param {string} userId
+   * @param {{view?: string, merchantId?: string, storeName?: string, status?: string, minAmount?: number,
+   *   maxAmount?: number, currency?: string, expiresFrom?: string, expiresTo?: string, sort?: string, order?: 'asc'|'desc'}} criteria
+   *   Searches the wallet view unless another view is given. minAmount/maxAmount are in `currency` and compared
+   *   with the remaining balance. Default order is newest first for createdAt and soonest first for expiryDate
+   * @param {{limit?: number, cursor?: string}} page
+   * @returns {Promise<{success: boolean, cards?: object[], total?: number, nextCursor?: string|null, error?: string}>}
+   */
+  async searchCards(userId, criteria = {}, { limit, cursor } = {}) {
+    const start = cursor ? decodeCursor(cursor)?.offset : 0;
+    if (!Number.isInteger(start) || start < 0) {
+      return { success: false, error: 'Invalid cursor' };
+    }
+
+    const result = await giftCardService.getUserGiftCards(userId);
+    if (!result.success) {
+      return result;
+    }
+
+    const currency = criteria.currency || DEFAULT_CURRENCY;
+    const sort = criteria.sort || 'createdAt';
+    const order = criteria.order || (sort === 'expiryDate' ? 'asc' : 'desc');
+    const matches = result.cards
+      .filter(buildFilter({ ...criteria, currency }))
+      .sort(buildComparator(sort, order, currency));
+
+    const pageSize = Math.min(limit || PAGE_CONFIG.defaultLimit, PAGE_CONFIG.maxLimit);
+    const end = start + pageSize;
+    return {
+      success: true,
+      cards: matches.slice(start, end),
+      total: matches.length,
+      nextCursor: end < matches.length ? encodeCursor({ offset: end }) : null,
+    };
+  },
+
+  /**
+   * Remaining value of the active cards in the wallet, converted to one currency
+   * @returns {Promise<{success: boolean, currency?: string, totalBalance?: number, byCurrency?: Object<string, number>,
+   *   activeCards?: number, error?: string}>} byCurrency holds the unconverted balance per card currency
+   */
+  async getTotals(userId, currency) {
+    const result = await giftCardService.getUserGiftCards(userId, null, CARD_VIEWS.wallet);
+    if (!result.success) {
+      return result;
+    }
+
+    const active = result.cards.filter(card => card.status === 'active');
+    const { total, byCurrency } = currencyService.sum(
+      active.map(card => ({ amount: card.balance ?? card.amount, currency: card.currency })),
+      currency
+    );
+    return { success: true, currency, totalBalance: total, byCurrency, activeCards: active.length };
+  },
+};
+
+module.exports = { walletSearchService, WALLET_SORT_FIELDS };
@@ -0,0 +1,273 @@
+// Bulk import/export of a user's gift card wallet (CSV or JSON)
+
+const { v4: uuidv4 } = require('uuid');
+const { giftCardService } = require('./aws');
+const { cardSecrets } = require('./cardSecrets');
+const { parseCsv, formatCsvRow } = require('./csv');
+const { merchantService, normalizeStoreName } = require('./merchantService');
+const { currencyService, SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('./currencyService');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.WALLET_IMPORT_MAX_ROWS) || 500;
+
+// Column order of the export - the import accepts the same columns (extra ones are ignored)
+const EXPORT_COLUMNS = ['storeName', 'amount', 'balance', 'currency', 'expiryDate', 'status', 'cardNumber', 'pin', 'createdAt', 'id'];
+
+const MASK_CHAR = '•';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(String(value).trim()));
+
+const hasAtMostTwoDecimals = (value) => Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+
+// Spaces and dashes are formatting only ("1234-5678" is the same card as "12345678")
+const normalizeCardNumber = (cardNumber) => String(cardNumber).replace(/[\s-]/g, '');
+
+// "Zara" and "זארה" are the same store when the merchant catalog knows it
+const storeKey = (storeName) => merchantService.resolveMerchantId({ storeName }) || normalizeStoreName(storeName);
+
+const duplicateKey = (storeName, cardNumber) => `${storeKey(storeName)}|${normalizeCardNumber(cardNumber)}`;
+
+/**
+ * Validate one imported row
+ * @returns {{card?: object, errors: string[]}}
+ */
+const validateRow = (data) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: ['Row must be an object'] };
+  }
+
+  const storeName = isBlank(data.storeName) ? '' : String(data.storeName).trim();
+  if (!storeName) {
+    errors.push('storeName is required');
+  } else if (storeName.length > 100) {
+    errors.push('storeName must be at most 100 characters');
+  }
+
+  const amount = toNumber(data.amount);
+  if (isBlank(data.amount) || !Number.isFinite(amount) || amount <= 0) {
+    errors.push('amount must be a positive number');
+  } else if (!hasAtMostTwoDecimals(amount)) {
+    errors.push('amount can have at most 2 decimal places');
+  }
+
+  let balance = amount;
+  if (!isBlank(data.balance)) {
+    balance = toNumber(data.balance);
+    if (!Number.isFinite(balance) || balance < 0 || !hasAtMostTwoDecimals(balance)) {
+      errors.push('balance must be a non-negative number with at most 2 decimal places');
+    } else if (Number.isFinite(amount) && balance > amount) {
+      errors.push('balance can\'t be more than amount');
+    }
+  }
+
+  const currency = isBlank(data.currency) ? DEFAULT_CURRENCY : String(data.currency).trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    errors.push(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+
+  let expiryDate = null;
+  if (!isBlank(data.expiryDate)) {
+    expiryDate = String(data.expiryDate).trim();
+    if (Number.isNaN(Date.parse(expiryDate))) {
+      errors.push('expiryDate must be a valid date (YYYY-MM-DD)');
+    }
+  }
+
+  const cardNumber = isBlank(data.cardNumber) ? null : String(data.cardNumber).trim();
+  if (cardNumber && cardNumber.length > 64) {
+    errors.push('cardNumber must be at most 64 characters');
+  }
+
+  const pin = isBlank(data.pin) ? null : String(data.pin).trim();
+  if (pin && pin.length > 32) {
+    errors.push('pin must be at most 32 characters');
+  }
+
+  // A masked export ("•••• 1234") can't be imported back - the real values are gone
+  if ([cardNumber, pin].some(value => value && value.includes(MASK_CHAR))) {
+    errors.push('cardNumber/pin are masked - export with includeSecrets=true to re-import');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    card: {
+      storeName,
+      amount,
+      balance,
+      currency,
+      expiryDate,
+      cardNumber,
+      pin,
+      status: balance === 0 ? 'used' : 'active',
+    },
+    errors,
+  };
+};
+
+/**
+ * Turn an uploaded wallet into numbered rows
+ * @param {'csv'|'json'} format
+ * @param {string|object[]} payload - CSV text, or an array of card objects
+ * @returns {{success: boolean, rows?: {row: number, data: object}[], error?: string}}
+ */
+const parseImport = (format, payload) => {
+  if (format === 'json') {
+    if (!Array.isArray(payload)) {
+      return { success: false, error: 'JSON import must be an array of cards' };
+    }
+    return { success: true, rows: payload.map((data, index) => ({ row: index + 1, data })) };
+  }
+
+  if (format === 'csv') {
+    if (typeof payload !== 'string' || !payload.trim()) {
+      return { success: false, error: 'CSV import is empty' };
+    }
+
+    let lines;
+    try {
+      lines = parseCsv(payload);
+    } catch (error) {
+      return { success: false, error: `Invalid CSV: ${error.message}` };
+    }
+
+    // Header names are matched case-insensitively against the export columns
+    const header = lines[0].map(name => name.trim().toLowerCase());
+    const columns = header.map(name => EXPORT_COLUMNS.find(column => column.toLowerCase() === name) || null);
+    if (!columns.includes('storeName') || !columns.includes('amount')) {
+      return { success: false, error: 'CSV header must include storeName and amount columns' };
+    }
+
+    // Row numbers match the spreadsheet (the header is row 1)
+    const rows = lines.slice(1).map((values, index) => {
+      const data = {};
+      columns.forEach((column, i) => {
+        if (column) data[column] = values[i];
+      });
+      return { row: index + 2, data };
+    });
+    return { success: true, rows };
+  }
+
+  return { success: false, error: 'Format must be csv or json' };
+};
+
+const walletTransferService = {
+  parseImport,
+  validateRow,
+
+  /**
+   * Validate and import rows into the user's wallet.
+   * Rows with errors and duplicates (same store + card number, in the wallet or earlier in the file) are skipped.
+   * @param {string} userId
+   * @param {{row: number, data: object}[]} rows
+   */
+  async importWallet(userId, rows) {
+    if (rows.length === 0) {
+      return { success: false, error: 'No cards to import' };
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return { success: false, error: `At most ${IMPORT_MAX_ROWS} cards can be imported at once` };
+    }
+
+    const errors = [];
+    const valid = [];
+    rows.forEach(({ row, data }) => {
+      const result = validateRow(data);
+      if (result.errors.length > 0) {
+        errors.push({ row, errors: result.errors });
+      } else {
+        valid.push({ row, card: result.card });
+      }
+    });
+
+    const existing = await giftCardService.getUserGiftCards(userId);
+    if (!existing.success) {
+      return { success: false, error: existing.error };
+    }
+
+    // Only cards of the imported stores need their numbers decrypted for the duplicate check
+    const importedStores = new Set(valid.map(({ card }) => storeKey(card.storeName)));
+    const seen = new Set();
+    for (const card of existing.cards) {
+      if (!importedStores.has(storeKey(card.storeName))) continue;
+      const { cardNumber } = await cardSecrets.reveal(card);
+      if (cardNumber) seen.add(duplicateKey(card.storeName, cardNumber));
+    }
+
+    const skipped = [];
+    const toCreate = [];
+    valid.forEach(({ row, card }) => {
+      if (card.cardNumber) {
+        const key = duplicateKey(card.storeName, card.cardNumber);
+        if (seen.has(key)) {
+          skipped.push({ row, reason: 'Duplicate card (same store and card number)' });
+          return;
+        }
+        seen.add(key);
+      }
+      toCreate.push({ ...card, id: uuidv4(), userId });
+    });
+
+    if (toCreate.length > 0) {
+      const result = await giftCardService.createGiftCards(toCreate);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+    }
+
+    console.log('📥 Wallet import:', { userId, imported: toCreate.length, skipped: skipped.length, failed: errors.length });
+    return {
+      success: true,
+      imported: toCreate.length,
+      skipped,
+      errors,
+      cardIds: toCreate.map(card => card.id),
+    };
+  },
+
+  /**
+   * Export rows, one chunk at a time, so large wallets can be streamed to the response
+   * @param {object[]} cards - Stored cards
+   * @param {'csv'|'json'} format
+   * @param {{includeSecrets?: boolean}} options - Decrypt card numbers/PINs instead of masking them
+   */
+  async *exportWallet(cards, format, { includeSecrets = false } = {}) {
+    if (format === 'csv') {
+      yield formatCsvRow(EXPORT_COLUMNS);
+    } else {
+      yield '[';
+    }
+
+    for (let i = 0; i < cards.length; i++) {
+      const card = cards[i];
+      const secrets = includeSecrets ? await cardSecrets.reveal(card) : cardSecrets.mask(card);
+      const row = {
+        storeName: card.storeName,
+        amount: card.amount,
+        balance: card.balance ?? card.amount,
+        currency: currencyService.currencyOf(card),
+        expiryDate: card.expiryDate ?? null,
+        status: card.status,
+        cardNumber: secrets.cardNumber,
+        pin: secrets.pin,
+        createdAt: card.createdAt,
+        id: card.id,
+      };
+
+      yield format === 'csv'
+        ? formatCsvRow(EXPORT_COLUMNS.map(column => row[column]))
+        : `${i === 0 ? '' : ','}\n${JSON.stringify(row)}`;
+    }
+
+    if (format !== 'csv') {
+      yield '\n]\n';
+    }
+  },
+};
+
+module.exports = { walletTransferService, EXPORT_COLUMNS, IMPORT_MAX_ROWS };
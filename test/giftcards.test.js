@@ -0,0 +1,94 @@
+const { stubDynamo, awsError, startApp } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLES, giftCardService } = require('../services/aws');
+
+const existingCard = {
+  id: 'card_1',
+  userId: 'owner',
+  storeName: 'Zara',
+  amount: 100,
+  balance: 100,
+  currency: 'ILS',
+  status: 'active',
+  createdAt: '2026-01-01T00:00:00.000Z',
+};
+
+// The cards table with one card - Puts honour attribute_not_exists(id), anything else is unexpected
+let writes;
+test.beforeEach((t) => {
+  writes = [];
+  t.after(stubDynamo(async (command, input) => {
+    assert.equal(input.TableName, TABLES.GIFT_CARDS);
+    if (command === 'GetCommand') {
+      return { Item: input.Key.id === existingCard.id ? { ...existingCard } : undefined };
+    }
+    if (command === 'PutCommand') {
+      if (input.ConditionExpression === 'attribute_not_exists(id)' && input.Item.id === existingCard.id) {
+        throw awsError('ConditionalCheckFailedException');
+      }
+      writes.push(input.Item);
+      return {};
+    }
+    throw new Error(`Unexpected ${command}`);
+  }));
+});
+
+let app;
+test.before(async () => {
+  app = await startApp({ '/api/giftcards': require('../routes/giftcards') });
+});
+test.after(() => app.close());
+
+test('createGiftCard refuses to overwrite an existing card', async () => {
+  const result = await giftCardService.createGiftCard({ ...existingCard, userId: 'someone-else' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.equal(writes.length, 0);
+});
+
+test('POST /api/giftcards answers 409 for an id that is taken', async () => {
+  const taken = await app.request('intruder', 'POST', '/api/giftcards', {
+    id: existingCard.id, userId: 'intruder', storeName: 'Zara', amount: 50,
+  });
+  assert.equal(taken.status, 409);
+
+  const created = await app.request('intruder', 'POST', '/api/giftcards', {
+    id: 'card_2', userId: 'intruder', storeName: 'Zara', amount: 50,
+  });
+  assert.equal(created.status, 200);
+  assert.equal(writes[0].userId, 'intruder');
+});
+
+test('requireSelf blocks another user\'s wallet and cards created for someone else', async () => {
+  assert.equal((await app.request('intruder', 'GET', '/api/giftcards/owner')).status, 403);
+  assert.equal((await app.request('intruder', 'GET', '/api/giftcards/owner/summary')).status, 403);
+
+  const created = await app.request('intruder', 'POST', '/api/giftcards', {
+    id: 'card_2', userId: 'owner', storeName: 'Zara', amount: 50,
+  });
+  assert.equal(created.status, 403);
+  assert.equal(writes.length, 0);
+});
+
+test('loadOwnedCard blocks changes to another user\'s card', async () => {
+  const attempts = [
+    ['PUT', `/api/giftcards/${existingCard.id}`, { storeName: 'Mine now' }],
+    ['DELETE', `/api/giftcards/${existingCard.id}`],
+    ['POST', `/api/giftcards/${existingCard.id}/redeem`, { amount: 10 }],
+    ['POST', `/api/giftcards/${existingCard.id}/topup`, { amount: 10 }],
+    ['GET', `/api/giftcards/${existingCard.id}/history`],
+  ];
+  for (const [method, path, body] of attempts) {
+    const response = await app.request('intruder', method, path, body);
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(response.body.error, 'Forbidden');
+  }
+  assert.equal(writes.length, 0);
+});
+
+test('requests without a token are rejected', async () => {
+  const response = await fetch(`${app.url}/api/giftcards/owner`);
+  assert.equal(response.status, 401);
+});
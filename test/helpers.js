@@ -0,0 +1,68 @@
+// Shared test setup - loads the services offline and lets each test answer the DynamoDB calls itself.
+// Require it before anything from services/ or routes/ so the environment is in place when they load.
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CODE_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.KEY_PROVIDER = 'local';
+
+const crypto = require('crypto');
+const express = require('express');
+const { dynamodb } = require('../services/aws');
+const { cardSecrets } = require('../services/cardSecrets');
+const { createLocalKeyProvider } = require('../services/keyProvider');
+const { authenticate } = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+
+// No key file on disk during tests
+cardSecrets.keyProvider = createLocalKeyProvider({ masterKey: crypto.randomBytes(32) });
+
+/**
+ * Answer every DynamoDB command with `handler(commandName, input)` - e.g. ('GetCommand', { TableName, Key })
+ * @returns {() => void} restores the real client
+ */
+const stubDynamo = (handler) => {
+  const send = dynamodb.send;
+  dynamodb.send = async command => handler(command.constructor.name, command.input);
+  return () => {
+    dynamodb.send = send;
+  };
+};
+
+// An error as the AWS SDK throws it, e.g. awsError('ConditionalCheckFailedException')
+const awsError = name => Object.assign(new Error(name), { name });
+
+/**
+ * An app with the real authentication in front of the given routers, listening on a free port
+ * @param {Object<string, object>} routers - Mount path -> router
+ * @returns {Promise<{url: string, request: Function, close: () => Promise<void>}>}
+ *   request(userId, method, path, body) answers { status, body }
+ */
+const startApp = async (routers) => {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (userId, method, path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${tokenService.issueAccessToken({ id: userId }).accessToken}`,
+        ...(body && { 'content-type': 'application/json' }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { url: base, request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+module.exports = { stubDynamo, awsError, startApp };
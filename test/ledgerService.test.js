@@ -0,0 +1,87 @@
+const { stubDynamo, awsError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLES } = require('../services/aws');
+const { ledgerService } = require('../services/ledgerService');
+
+// The cards table in memory - a balance change only commits on top of the balance and status it read
+const createCardsTable = (cards) => {
+  const transactions = [];
+  const handler = async (command, input) => {
+    if (command === 'GetCommand') {
+      assert.equal(input.TableName, TABLES.GIFT_CARDS);
+      const card = cards.get(input.Key.id);
+      return { Item: card && { ...card } };
+    }
+    assert.equal(command, 'TransactWriteCommand');
+    const [{ Update: update }, { Put: put }] = input.TransactItems;
+    const card = cards.get(update.Key.id);
+    const values = update.ExpressionAttributeValues;
+    if (card.balance !== values[':balanceBefore'] || card.status !== values[':currentStatus']) {
+      throw awsError('TransactionCanceledException');
+    }
+    Object.assign(card, { balance: values[':balanceAfter'], status: values[':status'], updatedAt: values[':now'] });
+    transactions.push(put.Item);
+    return {};
+  };
+  return { transactions, handler };
+};
+
+const activeCard = (fields = {}) => ({
+  id: 'card_1',
+  userId: 'owner',
+  storeName: 'Zara',
+  amount: 100,
+  balance: 100,
+  currency: 'ILS',
+  status: 'active',
+  ...fields,
+});
+
+test('concurrent redemptions never spend more than the balance', async (t) => {
+  const cards = new Map([['card_1', activeCard()]]);
+  const table = createCardsTable(cards);
+  t.after(stubDynamo(table.handler));
+
+  const results = await Promise.all([
+    ledgerService.redeem('card_1', 'owner', 70),
+    ledgerService.redeem('card_1', 'owner', 70),
+  ]);
+
+  // The loser retries on the new balance and is refused
+  assert.equal(results.filter(result => result.success).length, 1);
+  assert.equal(results.find(result => !result.success).error, 'Insufficient balance');
+  assert.equal(cards.get('card_1').balance, 30);
+  assert.equal(table.transactions.length, 1);
+});
+
+test('concurrent redemptions that fit both go through', async (t) => {
+  const cards = new Map([['card_1', activeCard()]]);
+  const table = createCardsTable(cards);
+  t.after(stubDynamo(table.handler));
+
+  const results = await Promise.all([
+    ledgerService.redeem('card_1', 'owner', 40),
+    ledgerService.redeem('card_1', 'owner', 60),
+  ]);
+
+  assert.ok(results.every(result => result.success));
+  assert.equal(cards.get('card_1').balance, 0);
+  assert.equal(cards.get('card_1').status, 'used');
+  // Each entry starts from the balance the other one left
+  const [first, second] = table.transactions;
+  assert.equal(second.balanceBefore, first.balanceAfter);
+  assert.equal(second.balanceAfter, 0);
+});
+
+test('archived cards can\'t be redeemed', async (t) => {
+  const cards = new Map([['card_1', activeCard({ archivedAt: '2026-01-01T00:00:00.000Z' })]]);
+  const table = createCardsTable(cards);
+  t.after(stubDynamo(table.handler));
+
+  const result = await ledgerService.redeem('card_1', 'owner', 10);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Gift card is archived');
+  assert.equal(table.transactions.length, 0);
+});
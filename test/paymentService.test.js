@@ -0,0 +1,184 @@
+const { stubDynamo, awsError } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLES, marketplaceService } = require('../services/aws');
+const { paymentService } = require('../services/paymentService');
+const { createMockPaymentProvider } = require('../services/paymentProvider');
+const { runEscrowJob } = require('../jobs/releaseEscrow');
+
+// The payments table in memory - status updates are conditional like setStatus's '#status = :from'
+const createPaymentsTable = () => {
+  const payments = new Map();
+  const handler = async (command, input) => {
+    if (input.TableName === TABLES.NOTIFICATIONS) {
+      return {};
+    }
+    assert.equal(input.TableName, TABLES.PAYMENTS);
+    switch (command) {
+      case 'GetCommand':
+        return { Item: payments.get(input.Key.id) };
+      case 'PutCommand':
+        if (input.ConditionExpression && payments.has(input.Item.id)) throw awsError('ConditionalCheckFailedException');
+        payments.set(input.Item.id, { ...input.Item });
+        return {};
+      case 'UpdateCommand': {
+        const payment = payments.get(input.Key.id);
+        const { ':from': from, ':to': to, ...fields } = input.ExpressionAttributeValues;
+        if (!payment || payment.status !== from) throw awsError('ConditionalCheckFailedException');
+        Object.entries(fields).forEach(([key, value]) => {
+          payment[key.slice(1)] = value;
+        });
+        payment.status = to;
+        return { Attributes: { ...payment } };
+      }
+      default:
+        throw new Error(`Unexpected ${command}`);
+    }
+  };
+  return { payments, handler };
+};
+
+// The mock provider, counting its release/refund calls
+const createProvider = () => {
+  const provider = createMockPaymentProvider();
+  const calls = { release: 0, refund: 0 };
+  ['release', 'refund'].forEach((method) => {
+    const call = provider[method];
+    provider[method] = (...args) => {
+      calls[method]++;
+      return call(...args);
+    };
+  });
+  return { provider, calls };
+};
+
+const listing = { id: 'listing_1', giftCardId: 'card_1', sellerId: 'seller', price: 80, currency: 'ILS' };
+
+const heldPayment = (fields = {}) => ({
+  id: 'pay_1',
+  listingId: listing.id,
+  giftCardId: listing.giftCardId,
+  buyerId: 'buyer',
+  sellerId: listing.sellerId,
+  amount: 80,
+  currency: 'ILS',
+  providerPaymentId: 'mock_pay_1',
+  status: 'held',
+  ...fields,
+});
+
+let table;
+let calls;
+test.beforeEach((t) => {
+  table = createPaymentsTable();
+  const restore = stubDynamo(table.handler);
+  ({ provider: paymentService.provider, calls } = createProvider());
+
+  const { getPurchasableListing, purchaseGiftCard } = marketplaceService;
+  marketplaceService.getPurchasableListing = async () => ({ success: true, listing });
+  t.after(() => {
+    restore();
+    Object.assign(marketplaceService, { getPurchasableListing, purchaseGiftCard });
+  });
+});
+
+test('refunds the buyer when the purchase fails after the charge', async () => {
+  marketplaceService.purchaseGiftCard = async () => ({ success: false, error: 'Listing is no longer available', conflict: true });
+
+  const result = await paymentService.purchase(listing.id, 'buyer', 'pm_mock_visa');
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.equal(calls.refund, 1);
+  const [payment] = table.payments.values();
+  assert.equal(payment.status, 'refunded');
+  assert.equal(payment.failureReason, 'Listing is no longer available');
+});
+
+test('keeps the charge when a purchase that reported a failure was committed', async () => {
+  // e.g. a timeout after the transaction (with its payment record) went through
+  marketplaceService.purchaseGiftCard = async (listingId, buyerId, { payment }) => {
+    table.payments.set(payment.id, { ...payment });
+    return { success: false, error: 'Request timed out. Please try again.' };
+  };
+
+  const result = await paymentService.purchase(listing.id, 'buyer', 'pm_mock_visa');
+
+  assert.equal(result.success, true);
+  assert.equal(result.payment.status, 'held');
+  assert.equal(calls.refund, 0);
+});
+
+test('doesn\'t run the purchase when the payment is declined', async () => {
+  let purchased = false;
+  marketplaceService.purchaseGiftCard = async () => {
+    purchased = true;
+  };
+
+  const result = await paymentService.purchase(listing.id, 'buyer', 'pm_mock_decline_card');
+
+  assert.equal(result.declined, true);
+  assert.equal(purchased, false);
+  assert.equal(table.payments.size, 0);
+});
+
+test('settles a payment confirmed and disputed at the same time only once', async () => {
+  const payment = heldPayment();
+  table.payments.set(payment.id, { ...payment });
+
+  const [confirmed, disputed] = await Promise.all([
+    paymentService.confirm(payment),
+    paymentService.dispute(payment, 'The card is empty'),
+  ]);
+
+  assert.equal([confirmed, disputed].filter(result => result.success).length, 1);
+  assert.equal([confirmed, disputed].find(result => !result.success).conflict, true);
+  const stored = table.payments.get(payment.id);
+  if (confirmed.success) {
+    assert.equal(stored.status, 'released');
+    assert.equal(calls.release, 1);
+  } else {
+    assert.equal(stored.status, 'disputed');
+    assert.equal(calls.release, 0);
+  }
+});
+
+test('doesn\'t release a payment that was disputed first', async () => {
+  const payment = heldPayment();
+  table.payments.set(payment.id, { ...payment });
+
+  assert.equal((await paymentService.dispute(payment, 'The card is empty')).success, true);
+  const result = await paymentService.release(payment);
+
+  assert.equal(result.conflict, true);
+  assert.equal(calls.release, 0);
+  assert.equal(table.payments.get(payment.id).status, 'disputed');
+});
+
+test('resumes a payment left releasing', async () => {
+  const payment = heldPayment({ status: 'releasing' });
+  table.payments.set(payment.id, { ...payment });
+
+  const result = await paymentService.resume(payment);
+
+  assert.equal(result.success, true);
+  assert.equal(table.payments.get(payment.id).status, 'released');
+  // Finished already - a second retry changes nothing
+  assert.equal((await paymentService.resume(payment)).conflict, true);
+  assert.equal(table.payments.get(payment.id).status, 'released');
+});
+
+test('the release job resumes stuck payments', async (t) => {
+  const stuck = heldPayment({ status: 'refunding' });
+  table.payments.set(stuck.id, { ...stuck });
+  const { getDuePayments, getStuckPayments } = paymentService;
+  paymentService.getDuePayments = async () => ({ success: true, payments: [] });
+  paymentService.getStuckPayments = async () => ({ success: true, payments: [stuck] });
+  t.after(() => Object.assign(paymentService, { getDuePayments, getStuckPayments }));
+
+  const result = await runEscrowJob();
+
+  assert.deepEqual(result, { success: true, due: 0, released: 0, stuck: 1, resumed: 1, failed: 0 });
+  assert.equal(table.payments.get(stuck.id).status, 'refunded');
+  assert.equal(calls.refund, 1);
+});